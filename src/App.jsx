@@ -1,4 +1,5 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { createEscPos } from "./escpos.js";
 
 /**
  * DespensaApp – MVP
@@ -6,52 +7,142 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * ✔ Login simple por email (localStorage por usuario)
  * ✔ Productos con EAN, nombre, precio
  * ✔ No permite EAN duplicados (alta manual)
- * ✔ Importar productos desde CSV (ean,nombre,precio)
+ * ✔ Validación de EAN en alta manual, CSV y venta:
+ *    - Dígito verificador GS1 para códigos numéricos de 8, 12, 13 o 14 dígitos
+ *    - UPC-A (12) y GTIN-14 con 0 inicial se normalizan a EAN-13
+ *    - Revisión del catálogo con códigos sospechosos o duplicados
+ * ✔ Importar productos desde CSV (ean,nombre,precio + columnas opcionales costo, categoria)
+ * ✔ Categorías de producto:
+ *    - Editables inline, al agregar manualmente o por CSV
+ *    - Filtro por categoría y selección de una categoría completa (etiquetas)
  * ✔ Listado con búsqueda + precio editable inline
  * ✔ Precio PedidosYa / Rappi calculados desde el precio base
- * ✔ Productos seleccionables para generar etiquetas e imprimir PDF
+ * ✔ Costo por producto y margen % sobre el precio de venta
+ * ✔ Stock por producto (opcional, editable inline):
+ *    - Se descuenta en cada venta (normal o fiado)
+ *    - Se repone al eliminar una venta
+ *    - Productos sin stock cargado no se controlan
+ * ✔ Reponer:
+ *    - Stock mínimo y proveedor por producto
+ *    - Lista de productos en o por debajo del mínimo, agrupada por proveedor
+ *    - Imprimir / PDF y exportar CSV para el distribuidor
+ * ✔ Productos seleccionables para generar etiquetas e imprimir PDF:
+ *    - Código de barras SVG (EAN-13 / EAN-8 / Code128 según el código)
+ *    - Plantillas: tira de góndola, tarjeta de góndola, hoja A4 en grilla N×M
+ *    - Opcional: precios PedidosYa / Rappi y estilo "oferta"
  * ✔ Eliminar productos de forma masiva usando la misma selección
+ * ✔ Ajuste masivo de precios:
+ *    - Sobre seleccionados, resultados de búsqueda, una categoría o un proveedor
+ *    - Porcentaje o monto fijo (positivo sube, negativo baja)
+ *    - Redondeo a 10 / 50 / 100, vista previa y revertir último ajuste
+ * ✔ Historial de precios por producto:
+ *    - Cada cambio guarda fecha, precio anterior/nuevo y origen
+ *      (edición manual, importación CSV, ajuste masivo o reversión)
+ *    - Panel lateral con la lista de cambios y gráfico de tendencia
  * ✔ Nueva venta:
  *    - Buscar por código EAN (sin distinguir mayúsculas/minúsculas)
+ *    - Autocompletado por nombre o EAN parcial (flechas + Enter), con precio y stock
  *    - Si el producto tiene precio 0 → ventana emergente SIEMPRE, sin actualizar el catálogo
  *    - Métodos de pago: efectivo, MercadoPago, posnet, fiado
+ *    - Efectivo: "paga con" con botones de billetes y vuelto; se guardan en la venta
+ *    - Descuentos por línea y al ticket (% o monto fijo, con motivo opcional)
+ *    - Productos por kg: cantidad con decimales ingresada con teclado numérico
+ *    - Etiquetas de balanza (EAN-13 con prefijo 20-29): se decodifica PLU + peso
+ *      o importe según los formatos configurados y se agrega una línea en kg
+ *    - Promociones automáticas por línea (ver "Promociones")
+ *    - Modo caja (teclado): multiplicador con *, F2–F6 método de pago, F8 multipago,
+ *      F9 descuento al ticket, Enter vacío finaliza, Esc quita la última línea, F1 ayuda
+ *    - Avisos y diálogos dentro de la página (sin prompt/alert) para no perder el foco del lector
+ *    - Carritos en espera con nombre: varios a la vez, se guardan con los datos
+ *      del usuario y se retoman luego; no cuentan en el cierre ni descuentan stock
+ * ✔ Promociones:
+ *    - 2x1 / 3x2 (NxM), N-ésima unidad con % off, % de descuento y combos a precio fijo
+ *    - Alcance por lista de EAN o por categoría; vigencia por fechas y días de la semana
+ *    - Una promoción por artículo, con prioridad según el orden de la lista
+ *    - Se guardan en cada ítem vendido; el costo se informa en ranking y resumen histórico
  * ✔ Ventas normales → van a "ventas" (cierre diario y resumen histórico)
  * ✔ Ventas en fiado:
  *    - No se guardan en "ventas" → no impactan cierre diario ni resumen histórico
  *    - Se guardan por persona en "fiados" (con detalle de productos)
- *    - Para productos con precio 0, se guarda precioUnitario y NO se actualiza nunca
+ *    - Para productos con precio 0 (o con la política "congelar"), se guarda
+ *      precioUnitario y NO se actualiza nunca
  * ✔ Fiados:
  *    - Personas con deudas, detalle de compras fiadas y abonos
  *    - Saldo = sum(productos * cantidades) usando:
  *         - precioUnitario si existe (congelado)
+ *         - con la política "N días": pasado el plazo, el precio que tenía el producto ese día
  *         - o precio actual del producto si no tiene precioUnitario
+ *    - Política de precios por comercio (Configuración) y por cliente: congelar al vender,
+ *      seguir el precio actual o seguirlo hasta N días; al pasar a "congelar" se ofrece
+ *      congelar lo ya fiado (con el precio de hoy o el de la fecha de compra)
  *    - Abonos protegidos con contraseña (19256436)
  *    - Muestra EAN + nombre de producto en detalle
- *    - Si saldo queda en 0 → se borra la persona de fiados
+ *    - Si saldo queda en 0 → la cuenta se archiva en "Saldados" con todas sus compras y
+ *      abonos (también "Archivar fiado", con contraseña); nada se borra
+ *    - Una nueva compra fiada del mismo cliente reactiva la cuenta archivada
+ *    - Ficha de cliente: teléfono, dirección, DNI, notas y límite de crédito
+ *    - Al vender fiado se elige el cliente de una lista con buscador (o se da de alta);
+ *      superar el límite avisa o bloquea la venta según la configuración
+ *    - Estado de cuenta por período: compras con EAN, cantidad y precio unitario
+ *      (fijo o actual del catálogo), abonos y saldo acumulado; imprimir / PDF,
+ *      texto para WhatsApp o ticket térmico
+ *    - Antigüedad de deuda: saldo por tramos (0–30, 31–60, 61–90, +90 días) con abonos
+ *      aplicados a las compras más antiguas, último abono, orden por riesgo, clientes
+ *      sin abonos en N días resaltados y exportación CSV
  * ✔ Ventas recientes:
  *    - Se puede cambiar el método de pago sin borrar la venta (si no está en día cerrado y no es multipago)
+ * ✔ Devoluciones:
+ *    - Documento propio que referencia la venta original (no la borra ni la modifica)
+ *    - Devolución parcial por artículo, con reintegro por el método elegido
+ *    - Importe según lo cobrado (promos y descuentos prorrateados)
+ *    - Restan en el cierre del día en que se registran, aunque la venta sea de un día cerrado
+ *    - Reponen stock
  * ✔ Compras / Gastos:
  *    - Registrar tipo (compra/gasto), proveedor, descripción, monto (con decimales)
  *    - Lista de proveedores reutilizable (datalist)
  * ✔ Cierre diario:
  *    - Totales por método de pago (solo ventas normales)
+ *    - Total de descuentos otorgados
+ *    - Control de efectivo: total recibido ("paga con") y vueltos entregados
+ *    - Devoluciones del día como líneas negativas (restan del método de reintegro)
  *    - Total ventas, compras, gastos, neto del día
  *    - Dinero en caja (día anterior) desde cierre anterior
  *    - Efectivo Total Disponible = efectivo día + caja día anterior + PedidosYa - caja próximo día
  *    - Cierre definitivo bloquea edición de efectivo y elimina ventas de ese día
  *    - Las ventas se acumulan hasta el cierre, aunque pasen las 00:00
  *    - Se puede reabrir un día cerrado
+ * ✔ Libro de ventas:
+ *    - Número de venta correlativo por usuario (no se reutiliza al eliminar una venta)
+ *    - Filtros por fecha, método de pago, rango de importe, EAN y número de venta
+ *    - Aviso de números sin venta (eliminadas) y exportación CSV
  * ✔ Resumen histórico:
  *    - Rango de fechas
- *    - Totales de ventas, compras, gastos
+ *    - Totales de ventas, compras, gastos y descuentos
  *    - Total general (ventas - compras - gastos)
  *    - Sin detalle de ventas, solo detalle de compras/gastos
+ *    - Ventas desglosadas por categoría de producto
+ *    - Costo de las promociones aplicadas
  *    - Botón Imprimir / PDF simple
+ * ✔ Márgenes:
+ *    - Ganancia bruta por producto y por período (día / semana / mes)
+ *    - Usa el costo guardado en cada ítem vendido o, si no existe, el costo actual
  * ✔ Ranking de ventas:
  *    - Rango de fechas
  *    - Agrupa por producto
  *    - Ordenado por cantidad vendida
  *    - Porcentaje de participación por cantidad
+ * ✔ Ticket para el cliente (papel térmico 58 / 80 mm, ventana de impresión):
+ *    - Encabezado con los datos del comercio, ítems, descuentos, pagos y vuelto
+ *    - Opcional al registrar la venta; reimpresión desde Ventas recientes
+ * ✔ Impresora térmica (ESC/POS, src/escpos.js):
+ *    - Ticket de venta, cierre diario y estado de cuenta de fiados como comandos ESC/POS
+ *    - Salida: ventana del navegador, descarga .bin o puente de impresión local (POST)
+ *    - Pulso al cajón de dinero en ventas con efectivo (opcional) y botón "Abrir cajón"
+ * ✔ Configuración:
+ *    - Datos del comercio y ancho de papel del ticket
+ *    - Salida de la impresora térmica y URL del puente
+ *    - Fiados: política de precios y avisar o bloquear al superar el límite de crédito
+ *    - Formatos de etiquetas de balanza (prefijos, posición de PLU y peso/importe)
  * ✔ Importar/Exportar:
  *    - Importar CSV de productos
  *    - Exportar respaldo JSON (incluye todo)
@@ -82,6 +173,1022 @@ const rappiPrice = (precio) => {
   return Math.ceil(base / (1 - 0.2));
 };
 
+// Margen sobre el precio de venta (%). null si falta costo o precio.
+const marginPct = (precio, costo) => {
+  const p = Number(precio) || 0;
+  const c = Number(costo) || 0;
+  if (p <= 0 || c <= 0) return null;
+  return ((p - c) / p) * 100;
+};
+
+// ---- Líneas de venta ----
+// Descuento { tipo: "porcentaje" | "monto", valor, motivo } sobre una base,
+// en centavos y nunca mayor que la base.
+const discountAmount = (desc, base) => {
+  if (!desc) return 0;
+  const v = Number(desc.valor) || 0;
+  const monto = desc.tipo === "porcentaje" ? (base * v) / 100 : v;
+  return Math.min(base, Math.max(0, Math.round(monto * 100) / 100));
+};
+
+// Subtotal bruto de una línea: importe fijo (etiqueta de balanza con precio) o
+// precio × cantidad redondeado a centavos (cantidades en kg con decimales).
+const lineGross = (i) =>
+  typeof i.importe === "number"
+    ? i.importe
+    : Math.round((Number(i.precio) || 0) * (Number(i.qty) || 0) * 100) / 100;
+
+// Base de la línea luego de la promoción automática (item.promo.monto)
+const linePromoBase = (i) =>
+  Math.max(0, lineGross(i) - (Number(i.promo?.monto) || 0));
+
+// Subtotal de la línea con promoción y descuento manual aplicados
+const lineTotal = (i) => {
+  const base = linePromoBase(i);
+  return Math.round((base - discountAmount(i.descuento, base)) * 100) / 100;
+};
+
+// Importe de cada línea con el descuento al ticket (venta.descuento)
+// prorrateado según su peso en el subtotal. Mismo orden que venta.items.
+const lineTotalsNetos = (venta) => {
+  const items = venta.items || [];
+  const totales = items.map(lineTotal);
+  const suma = totales.reduce((a, t) => a + t, 0);
+  const descTicket = Number(venta.descuento?.monto) || 0;
+  if (!descTicket || suma <= 0) return totales;
+  const factor = Math.max(0, suma - descTicket) / suma;
+  return totales.map((t) => t * factor);
+};
+
+const describeDiscount = (desc) =>
+  desc
+    ? (desc.tipo === "porcentaje" ? `${desc.valor}%` : currency(desc.valor)) +
+      (desc.motivo ? ` · ${desc.motivo}` : "")
+    : "";
+
+// Cantidades en kg: se redondean a gramos para evitar arrastres de coma flotante
+const roundQty = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+// Cantidad para mostrar: kg con 3 decimales, unidades tal cual
+const formatQty = (qty, unidad) =>
+  unidad === "kg"
+    ? `${(Number(qty) || 0).toLocaleString("es-AR", {
+        minimumFractionDigits: 3,
+        maximumFractionDigits: 3,
+      })} kg`
+    : String(roundQty(qty));
+
+// ---- Promociones ----
+// { id, nombre, tipo, activa, eans: [], categoria, lleva, paga, porcentaje,
+//   precioCombo, desde, hasta, dias: [0..6] }
+const PROMO_TIPOS = {
+  nxm: "Lleva N, paga M (2x1, 3x2…)",
+  segunda: "N-ésima unidad con % de descuento",
+  porcentaje: "% de descuento (oferta)",
+  combo: "Combo a precio fijo",
+};
+
+const DIAS_SEMANA = ["Dom", "Lun", "Mar", "Mié", "Jue", "Vie", "Sáb"];
+
+// Vigencia por fechas (YYYY-MM-DD, inclusive) y días de la semana
+const promoVigente = (promo, fecha) => {
+  if (promo.activa === false) return false;
+  const key = periodKey(fecha, "dia");
+  if (promo.desde && key < promo.desde) return false;
+  if (promo.hasta && key > promo.hasta) return false;
+  const dias = Array.isArray(promo.dias) ? promo.dias : [];
+  return !dias.length || dias.includes(new Date(fecha).getDay());
+};
+
+// Alcance: lista de EAN (siempre en combos) o una categoría
+const promoIncluye = (promo, item, prod) => {
+  const eans = promo.eans || [];
+  if (promo.tipo === "combo" || eans.length) {
+    return eans.some((e) => sameEAN(e, item.ean));
+  }
+  return !!promo.categoria && (prod?.categoria || "") === promo.categoria;
+};
+
+const describePromo = (promo) => {
+  switch (promo.tipo) {
+    case "nxm":
+      return `${promo.lleva}x${promo.paga}`;
+    case "segunda":
+      return `${promo.lleva}ª unidad al ${100 - (Number(promo.porcentaje) || 0)}%`;
+    case "porcentaje":
+      return `${promo.porcentaje}% off`;
+    case "combo":
+      return `Combo ${currency(promo.precioCombo)}`;
+    default:
+      return "";
+  }
+};
+
+// Aplica las promociones vigentes al carrito. Devuelve los ítems con
+// `promo: { id, nombre, monto }` en las líneas alcanzadas. Cada línea recibe a
+// lo sumo una promoción (la primera de la lista que la alcance). Las
+// promociones por unidad (NxM, N-ésima, combo) no aplican a líneas en kg.
+function applyPromociones(items, promociones, productos, fecha) {
+  const cuando = fecha || new Date().toISOString();
+  const prodByEAN = new Map((productos || []).map((p) => [p.ean, p]));
+  const asignadas = new Map(); // itemId → promo aplicada
+  const usados = new Set();
+
+  for (const promo of promociones || []) {
+    if (!promoVigente(promo, cuando)) continue;
+    const lineas = items.filter(
+      (i) => !usados.has(i.id) && promoIncluye(promo, i, prodByEAN.get(i.ean))
+    );
+    if (!lineas.length) continue;
+
+    const montos = new Map();
+    const sumar = (id, m) => montos.set(id, (montos.get(id) || 0) + m);
+    const porUnidad = lineas.filter(
+      (i) => i.unidad !== "kg" && typeof i.importe !== "number"
+    );
+
+    if (promo.tipo === "porcentaje") {
+      const pct = Number(promo.porcentaje) || 0;
+      lineas.forEach((i) => sumar(i.id, (lineGross(i) * pct) / 100));
+    } else if (promo.tipo === "combo") {
+      // Un EAN repetido en la lista pide esa cantidad por combo ("2× lo mismo")
+      const requeridos = [];
+      for (const e of promo.eans || []) {
+        const req = requeridos.find((r) => sameEAN(r.ean, e));
+        if (req) req.cant += 1;
+        else requeridos.push({ ean: e, cant: 1 });
+      }
+      // Unidades de cada EAN, cada una con el precio de su propia línea (el
+      // mismo artículo puede estar en varias líneas con precios distintos)
+      const unidadesPorEAN = requeridos.map((r) => ({
+        cant: r.cant,
+        unidades: porUnidad
+          .filter((i) => sameEAN(i.ean, r.ean))
+          .flatMap((i) =>
+            Array.from({ length: i.qty }, () => ({
+              id: i.id,
+              precio: Number(i.precio) || 0,
+            }))
+          ),
+      }));
+      const combos = requeridos.length
+        ? Math.min(
+            ...unidadesPorEAN.map(({ cant, unidades }) =>
+              Math.floor(unidades.length / cant)
+            )
+          )
+        : 0;
+      const enCombo = unidadesPorEAN.flatMap(({ cant, unidades }) =>
+        unidades.slice(0, combos * cant)
+      );
+      const normal = enCombo.reduce((a, u) => a + u.precio, 0);
+      const ahorro = normal - combos * (Number(promo.precioCombo) || 0);
+      if (combos > 0 && ahorro > 0) {
+        // El ahorro se reparte en proporción al precio de cada unidad
+        enCombo.forEach((u) => sumar(u.id, (ahorro * u.precio) / normal));
+      }
+    } else if (promo.tipo === "nxm" || promo.tipo === "segunda") {
+      const lleva = Math.max(2, Math.round(Number(promo.lleva) || 2));
+      const porGrupo =
+        promo.tipo === "nxm"
+          ? lleva - Math.min(lleva - 1, Math.max(1, Number(promo.paga) || 1))
+          : 1;
+      const pct = promo.tipo === "nxm" ? 100 : Number(promo.porcentaje) || 0;
+      // Se bonifican las unidades más baratas del grupo
+      const unidades = porUnidad
+        .flatMap((i) =>
+          Array.from({ length: i.qty }, () => ({
+            id: i.id,
+            precio: Number(i.precio) || 0,
+          }))
+        )
+        .sort((a, b) => a.precio - b.precio);
+      const bonificadas = Math.floor(unidades.length / lleva) * porGrupo;
+      unidades
+        .slice(0, bonificadas)
+        .forEach((u) => sumar(u.id, (u.precio * pct) / 100));
+    }
+
+    let aplicada = false;
+    montos.forEach((m, id) => {
+      const item = lineas.find((i) => i.id === id);
+      const monto = Math.min(lineGross(item), Math.round(m * 100) / 100);
+      if (monto <= 0) return;
+      asignadas.set(id, { id: promo.id, nombre: promo.nombre, monto });
+      aplicada = true;
+    });
+    // Las líneas que participaron no vuelven a usarse en otra promoción
+    if (aplicada) lineas.forEach((i) => usados.add(i.id));
+  }
+
+  return items.map((i) =>
+    asignadas.has(i.id) ? { ...i, promo: asignadas.get(i.id) } : i
+  );
+}
+
+// Costo de promociones por promo a partir de ventas ya registradas
+const promoCostos = (ventas) => {
+  const map = new Map();
+  ventas.forEach((v) =>
+    (v.items || []).forEach((i) => {
+      if (!i.promo) return;
+      const r = map.get(i.promo.id) || {
+        id: i.promo.id,
+        nombre: i.promo.nombre,
+        lineas: 0,
+        monto: 0,
+      };
+      r.lineas += 1;
+      r.monto += Number(i.promo.monto) || 0;
+      map.set(i.promo.id, r);
+    })
+  );
+  return Array.from(map.values()).sort((a, b) => b.monto - a.monto);
+};
+
+// ---- Balanza (etiquetas de peso/precio variable, prefijo 20-29) ----
+// Formato de 13 caracteres, uno por dígito del código:
+//   F prefijo · P PLU · W peso · $ importe · C verificador · x se ignora
+const DEFAULT_BALANZA = [
+  { id: "peso", prefijos: "20-29", formato: "FFPPPPPWWWWWC", decimales: 3 },
+];
+
+// "20-24,28" → ["20", "21", "22", "23", "24", "28"]
+function parsePrefijos(str) {
+  const out = [];
+  for (const part of String(str || "").split(",")) {
+    const [a, b] = part.split("-").map((x) => x.trim());
+    if (!/^\d+$/.test(a || "")) continue;
+    if (!b) {
+      out.push(a);
+      continue;
+    }
+    if (!/^\d+$/.test(b) || b.length !== a.length) continue;
+    for (let n = Number(a); n <= Number(b); n++) {
+      out.push(String(n).padStart(a.length, "0"));
+    }
+  }
+  return out;
+}
+
+// { plu, tipo: "peso" | "importe", valor } o null si no es de balanza
+function decodeScaleBarcode(code, formatos) {
+  const c = String(code || "").trim();
+  if (!/^2\d{12}$/.test(c)) return null;
+  for (const f of formatos || []) {
+    const fmt = String(f.formato || "");
+    if (fmt.length !== 13) continue;
+    if (!parsePrefijos(f.prefijos).some((pre) => c.startsWith(pre))) continue;
+    if (fmt.includes("C") && !isValidGS1(c)) continue;
+    let plu = "";
+    let valor = "";
+    for (let i = 0; i < 13; i++) {
+      if (fmt[i] === "P") plu += c[i];
+      else if (fmt[i] === "W" || fmt[i] === "$") valor += c[i];
+    }
+    if (!plu || !valor) continue;
+    return {
+      plu: Number(plu),
+      tipo: fmt.includes("W") ? "peso" : "importe",
+      valor: Number(valor) / 10 ** (Number(f.decimales) || 0),
+    };
+  }
+  return null;
+}
+
+// PLU cargado en el producto o, si no tiene, su EAN numérico corto
+const findByPLU = (productos, plu) =>
+  (productos || []).find((p) => p.plu != null && Number(p.plu) === plu) ||
+  (productos || []).find(
+    (p) => p.plu == null && /^\d{1,6}$/.test(String(p.ean)) && Number(p.ean) === plu
+  );
+
+// ---- Categorías ----
+const DEFAULT_CATEGORIAS = [
+  "Almacén",
+  "Bebidas",
+  "Limpieza",
+  "Fiambrería",
+  "Lácteos",
+  "Panadería",
+  "Perfumería",
+  "Verdulería",
+];
+const SIN_CATEGORIA = "(Sin categoría)";
+
+// Categorías por defecto + las usadas en el catálogo, ordenadas
+function listCategorias(productos) {
+  const set = new Set(DEFAULT_CATEGORIAS);
+  for (const p of productos || []) {
+    if (p.categoria) set.add(p.categoria);
+  }
+  return Array.from(set).sort((a, b) => a.localeCompare(b));
+}
+
+// ---- Historial de precios ----
+const PRICE_ORIGEN_LABELS = {
+  manual: "Edición manual",
+  csv: "Importación CSV",
+  masivo: "Ajuste masivo",
+  reversion: "Reversión de ajuste",
+};
+
+// Cambia el precio del producto dejando registro en historialPrecios
+function withPrecio(prod, precio, origen) {
+  const antes = Number(prod.precio) || 0;
+  if (antes === precio) return prod;
+  return {
+    ...prod,
+    precio,
+    historialPrecios: [
+      { fecha: new Date().toISOString(), antes, despues: precio, origen },
+      ...(prod.historialPrecios || []),
+    ],
+  };
+}
+
+// ---- Códigos de barras ----
+// Dígito verificador GS1 (EAN-8, EAN-13, UPC-A) para los dígitos sin verificador
+function gs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Desde la derecha: peso 3, 1, 3, 1...
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+const isValidGS1 = (code) =>
+  /^\d{8}$|^\d{12,14}$/.test(code) &&
+  gs1CheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+// Forma canónica: UPC-A → EAN-13 con 0 inicial, GTIN-14 con 0 inicial → EAN-13.
+// Los códigos no numéricos (palabras) se dejan como están.
+function normalizeEAN(code) {
+  const c = String(code || "").trim();
+  if (/^\d{12}$/.test(c) && isValidGS1(c)) return "0" + c;
+  if (/^0\d{13}$/.test(c) && isValidGS1(c)) return c.slice(1);
+  return c;
+}
+
+// Motivo por el que un código parece mal cargado, o null si está bien.
+// Los numéricos de otras longitudes se consideran códigos internos.
+function eanIssue(code) {
+  const c = String(code || "").trim();
+  if (!/^\d{8}$|^\d{12,14}$/.test(c)) return null;
+  if (isValidGS1(c)) return null;
+  const esperado = gs1CheckDigit(c.slice(0, -1));
+  return `Dígito verificador inválido (debería terminar en ${esperado})`;
+}
+
+const sameEAN = (a, b) =>
+  normalizeEAN(a).toLowerCase() === normalizeEAN(b).toLowerCase();
+
+const EAN_L = [
+  "0001101", "0011001", "0010011", "0111101", "0100011",
+  "0110001", "0101111", "0111011", "0110111", "0001011",
+];
+const EAN_G = EAN_L.map((l) =>
+  l
+    .split("")
+    .reverse()
+    .map((b) => (b === "1" ? "0" : "1"))
+    .join("")
+);
+const EAN_R = EAN_L.map((l) =>
+  l
+    .split("")
+    .map((b) => (b === "1" ? "0" : "1"))
+    .join("")
+);
+// Paridad L/G de los 6 primeros dígitos según el dígito inicial del EAN-13
+const EAN13_PARITY = [
+  "LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG",
+  "LGGLLG", "LGGGLL", "LGLGLL", "LGLGGL", "LGGLGL",
+];
+
+function encodeEAN13(code) {
+  const parity = EAN13_PARITY[Number(code[0])];
+  let bits = "101";
+  for (let i = 1; i <= 6; i++) {
+    const d = Number(code[i]);
+    bits += parity[i - 1] === "L" ? EAN_L[d] : EAN_G[d];
+  }
+  bits += "01010";
+  for (let i = 7; i <= 12; i++) bits += EAN_R[Number(code[i])];
+  return bits + "101";
+}
+
+function encodeEAN8(code) {
+  let bits = "101";
+  for (let i = 0; i < 4; i++) bits += EAN_L[Number(code[i])];
+  bits += "01010";
+  for (let i = 4; i < 8; i++) bits += EAN_R[Number(code[i])];
+  return bits + "101";
+}
+
+// Anchos barra/espacio de cada símbolo Code128 (0-105) + stop
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213",
+  "122312", "132212", "221213", "221312", "231212", "112232", "122132",
+  "122231", "113222", "123122", "123221", "223211", "221132", "221231",
+  "213212", "223112", "312131", "311222", "321122", "321221", "312212",
+  "322112", "322211", "212123", "212321", "232121", "111323", "131123",
+  "131321", "112313", "132113", "132311", "211313", "231113", "231311",
+  "112133", "112331", "132131", "113123", "113321", "133121", "313121",
+  "211331", "231131", "213113", "213311", "213131", "311123", "311321",
+  "331121", "312113", "312311", "332111", "314111", "221411", "431111",
+  "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114",
+  "413111", "241112", "134111", "111242", "121142", "121241", "114212",
+  "124112", "124211", "411212", "421112", "421211", "212141", "214121",
+  "412121", "111143", "111341", "131141", "114113", "114311", "411113",
+  "411311", "113141", "114131", "311141", "411131", "211412", "211214",
+  "211232", "2331112",
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Code128 subconjunto B (ASCII 32-126). null si hay caracteres no soportados.
+function encodeCode128(text) {
+  const values = [];
+  for (const ch of String(text)) {
+    const c = ch.charCodeAt(0);
+    if (c < 32 || c > 126) return null;
+    values.push(c - 32);
+  }
+  let check = CODE128_START_B;
+  values.forEach((v, i) => {
+    check += v * (i + 1);
+  });
+  const symbols = [CODE128_START_B, ...values, check % 103, CODE128_STOP];
+  let bits = "";
+  for (const sym of symbols) {
+    const widths = CODE128_PATTERNS[sym];
+    for (let i = 0; i < widths.length; i++) {
+      bits += (i % 2 === 0 ? "1" : "0").repeat(Number(widths[i]));
+    }
+  }
+  return bits;
+}
+
+// Elige la simbología según el código: EAN-13 (o UPC-A), EAN-8 o Code128
+function encodeBarcode(code) {
+  const c = String(code || "").trim();
+  if (!c) return null;
+  if (/^\d{13}$/.test(c) && isValidGS1(c)) {
+    return { type: "EAN-13", bits: encodeEAN13(c), text: c };
+  }
+  if (/^\d{12}$/.test(c) && isValidGS1(c)) {
+    // UPC-A = EAN-13 con 0 inicial
+    return { type: "EAN-13", bits: encodeEAN13("0" + c), text: c };
+  }
+  if (/^\d{8}$/.test(c) && isValidGS1(c)) {
+    return { type: "EAN-8", bits: encodeEAN8(c), text: c };
+  }
+  const bits = encodeCode128(c);
+  return bits ? { type: "Code128", bits, text: c } : null;
+}
+
+// Zonas mudas (en módulos) a izquierda y derecha de cada simbología
+const QUIET_ZONES = { "EAN-13": [11, 7], "EAN-8": [7, 7], Code128: [10, 10] };
+
+// SVG (como texto, para las ventanas de impresión) con el código legible debajo.
+// Se escala sin deformar para que todos los módulos conserven el mismo ancho.
+function barcodeSVG(code, { height = 40, showText = true } = {}) {
+  const enc = encodeBarcode(code);
+  if (!enc) return "";
+  const [quiet, quietDer] = QUIET_ZONES[enc.type];
+  const width = quiet + enc.bits.length + quietDer;
+  const textH = showText ? 10 : 0;
+  let rects = "";
+  let i = 0;
+  while (i < enc.bits.length) {
+    if (enc.bits[i] !== "1") {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < enc.bits.length && enc.bits[j] === "1") j++;
+    rects += `<rect x="${quiet + i}" y="0" width="${j - i}" height="${height}"/>`;
+    i = j;
+  }
+  const text = showText
+    ? `<text x="${width / 2}" y="${height + 9}" font-size="9" text-anchor="middle" font-family="monospace">${escapeHtml(enc.text)}</text>`
+    : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${
+    height + textH
+  }" shape-rendering="crispEdges" class="barcode">${rects}${text}</svg>`;
+}
+
+// ---- Etiquetas ----
+const LABEL_TEMPLATES = {
+  tira: { label: "Tira de góndola (60 × 30 mm)", w: 60, h: 30 },
+  tarjeta: { label: "Tarjeta de góndola (90 × 55 mm)", w: 90, h: 55 },
+  a4: { label: "Hoja A4 autoadhesiva (grilla N × M)" },
+};
+
+const DEFAULT_LABEL_OPTS = {
+  plantilla: "tarjeta",
+  columnas: 3,
+  filas: 8,
+  mostrarApps: false,
+  oferta: false,
+};
+
+function buildLabelsHtml(productos, opts) {
+  const o = { ...DEFAULT_LABEL_OPTS, ...(opts || {}) };
+  const esA4 = o.plantilla === "a4";
+  const cols = Math.max(1, Number(o.columnas) || 1);
+  const rows = Math.max(1, Number(o.filas) || 1);
+  // A4 = 210 × 297 mm con márgenes de 10 mm
+  const w = esA4 ? 190 / cols : LABEL_TEMPLATES[o.plantilla].w;
+  const h = esA4 ? 277 / rows : LABEL_TEMPLATES[o.plantilla].h;
+  // Escala de fuentes según el alto de la etiqueta
+  const k = h / 55;
+
+  const labelHtml = (p) => `
+    <div class="label${o.oferta ? " oferta" : ""}">
+      ${o.oferta ? `<div class="label-badge">OFERTA</div>` : ""}
+      <div class="label-name">${escapeHtml(p.nombre)}</div>
+      <div class="label-price">${currency(p.precio)}</div>
+      ${
+        o.mostrarApps
+          ? `<div class="label-apps">PedidosYa ${currency(
+              pedidosYaPrice(p.precio)
+            )} · Rappi ${currency(rappiPrice(p.precio))}</div>`
+          : ""
+      }
+      <div class="label-barcode">${
+        barcodeSVG(p.ean) ||
+        `<div class="label-ean">EAN: ${escapeHtml(p.ean)}</div>`
+      }</div>
+    </div>
+  `;
+
+  let body;
+  if (esA4) {
+    // Una hoja por cada N × M etiquetas
+    const porHoja = cols * rows;
+    const hojas = [];
+    for (let i = 0; i < productos.length; i += porHoja) {
+      hojas.push(productos.slice(i, i + porHoja));
+    }
+    body = hojas
+      .map((hoja) => `<div class="sheet">${hoja.map(labelHtml).join("")}</div>`)
+      .join("");
+  } else {
+    body = `<div class="labels">${productos.map(labelHtml).join("")}</div>`;
+  }
+
+  return `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8" />
+        <title>Etiquetas de precios</title>
+        <style>
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: ${esA4 ? "0" : "16px"};
+            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+          }
+          .labels {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4mm;
+          }
+          .sheet {
+            display: grid;
+            grid-template-columns: repeat(${cols}, ${w}mm);
+            grid-auto-rows: ${h}mm;
+            page-break-after: always;
+          }
+          .label {
+            position: relative;
+            width: ${w}mm;
+            height: ${h}mm;
+            border: ${esA4 ? "1px dashed #d1d5db" : "2px solid #111827"};
+            border-radius: ${esA4 ? "0" : "3mm"};
+            padding: ${1.5 * k}mm ${2 * k}mm;
+            display: flex;
+            flex-direction: column;
+            justify-content: space-between;
+            overflow: hidden;
+          }
+          .label.oferta {
+            background: #fef08a;
+            border-color: #dc2626;
+          }
+          .label-badge {
+            position: absolute;
+            top: 0;
+            right: 0;
+            background: #dc2626;
+            color: #fff;
+            font-size: ${Math.max(7, 10 * k)}px;
+            font-weight: 800;
+            padding: 1px 6px;
+            border-bottom-left-radius: 6px;
+          }
+          .label-name {
+            font-size: ${Math.max(8, 12 * k)}px;
+            font-weight: 600;
+            color: #111827;
+            line-height: 1.2;
+          }
+          .label-price {
+            font-size: ${Math.max(12, 26 * k)}px;
+            font-weight: 800;
+            text-align: center;
+            color: #111827;
+          }
+          .label.oferta .label-price { color: #b91c1c; }
+          .label-apps {
+            font-size: ${Math.max(7, 9 * k)}px;
+            color: #374151;
+            text-align: center;
+          }
+          .label-barcode { text-align: center; }
+          .barcode {
+            width: 90%;
+            height: ${Math.max(6, 12 * k)}mm;
+          }
+          .label-ean {
+            font-size: 10px;
+            color: #4b5563;
+            text-align: right;
+          }
+          @page {
+            size: ${esA4 ? "A4" : "auto"};
+            margin: 10mm;
+          }
+        </style>
+      </head>
+      <body onload="window.print()">
+        ${body}
+      </body>
+      </html>
+    `;
+}
+
+// ---- Ticket (comprobante para el cliente) ----
+// settings.comercio = { nombre, direccion, telefono, cuit, pie }
+// settings.ticket = { ancho: "58" | "80", imprimirAlFinalizar }
+const TICKET_ANCHOS = { 58: 48, 80: 72 }; // papel → ancho imprimible en mm
+
+// Número visible de la venta (las ventas antiguas solo tienen id)
+const ventaNumero = (v) =>
+  v.numero != null ? String(v.numero).padStart(6, "0") : String(v.id).toUpperCase();
+
+// Último número asignado: el contador guardado nunca baja, así una venta
+// eliminada deja un hueco visible en el libro de ventas.
+const ultimoNumeroVenta = (data) =>
+  (data.ventas || []).reduce(
+    (max, v) => Math.max(max, Number(v.numero) || 0),
+    Number(data.ultimoNumeroVenta) || 0
+  );
+
+function buildTicketHtml(venta, settings) {
+  const comercio = (settings || {}).comercio || {};
+  const ancho = ((settings || {}).ticket || {}).ancho === "58" ? "58" : "80";
+  const w = TICKET_ANCHOS[ancho];
+  const fs = ancho === "58" ? 10 : 12;
+  const fila = (izq, der, cls = "") =>
+    `<div class="row ${cls}"><span>${izq}</span><span>${der}</span></div>`;
+
+  const itemsHtml = (venta.items || [])
+    .map((i) => {
+      const detalle =
+        typeof i.importe === "number"
+          ? formatQty(i.qty, i.unidad)
+          : `${formatQty(i.qty, i.unidad)} x ${currency(i.precio)}`;
+      return `
+        <div class="item">${escapeHtml(i.nombre)}</div>
+        ${fila(detalle, currency(lineGross(i)))}
+        ${i.promo ? fila(`  ${escapeHtml(i.promo.nombre)}`, `-${currency(i.promo.monto)}`, "small") : ""}
+        ${
+          i.descuento
+            ? fila(
+                `  Desc. ${escapeHtml(describeDiscount(i.descuento))}`,
+                `-${currency(discountAmount(i.descuento, linePromoBase(i)))}`,
+                "small"
+              )
+            : ""
+        }`;
+    })
+    .join("");
+
+  // Subtotal bruto y descuentos por artículo (lo que no es promo ni ticket)
+  const bruto = (venta.items || []).reduce((a, i) => a + lineGross(i), 0);
+  const descLineas =
+    (Number(venta.descuentos) || 0) -
+    (Number(venta.promociones) || 0) -
+    (venta.descuento?.monto || 0);
+
+  const pagos = Array.isArray(venta.pagos) && venta.pagos.length
+    ? venta.pagos
+    : [{ metodo: venta.metodo, monto: venta.total }];
+
+  return `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8" />
+        <title>Ticket ${escapeHtml(ventaNumero(venta))}</title>
+        <style>
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            width: ${w}mm;
+            font-family: "Courier New", ui-monospace, monospace;
+            font-size: ${fs}px;
+            color: #000;
+          }
+          .center { text-align: center; }
+          .nombre { font-size: ${fs + 4}px; font-weight: 700; }
+          .sep { border-top: 1px dashed #000; margin: 4px 0; }
+          .row { display: flex; justify-content: space-between; gap: 6px; }
+          .row span:first-child { white-space: pre-wrap; }
+          .item { margin-top: 2px; }
+          .small { font-size: ${fs - 1}px; }
+          .total { font-size: ${fs + 4}px; font-weight: 700; }
+          @page { size: ${ancho}mm auto; margin: 2mm; }
+        </style>
+      </head>
+      <body onload="window.print()">
+        <div class="center">
+          ${comercio.nombre ? `<div class="nombre">${escapeHtml(comercio.nombre)}</div>` : ""}
+          ${comercio.direccion ? `<div>${escapeHtml(comercio.direccion)}</div>` : ""}
+          ${comercio.telefono ? `<div>Tel: ${escapeHtml(comercio.telefono)}</div>` : ""}
+          ${comercio.cuit ? `<div>CUIT: ${escapeHtml(comercio.cuit)}</div>` : ""}
+        </div>
+        <div class="sep"></div>
+        ${fila(`Ticket N° ${escapeHtml(ventaNumero(venta))}`, "")}
+        <div>${new Date(venta.fecha).toLocaleString("es-AR", {
+          dateStyle: "short",
+          timeStyle: "short",
+        })}</div>
+        <div class="sep"></div>
+        ${itemsHtml}
+        <div class="sep"></div>
+        ${venta.descuentos > 0 ? fila("Subtotal", currency(bruto)) : ""}
+        ${venta.promociones ? fila("Promociones", `-${currency(venta.promociones)}`) : ""}
+        ${descLineas > 0.004 ? fila("Desc. por artículo", `-${currency(descLineas)}`) : ""}
+        ${
+          venta.descuento
+            ? fila(
+                `Desc. ticket ${escapeHtml(describeDiscount(venta.descuento))}`,
+                `-${currency(venta.descuento.monto)}`
+              )
+            : ""
+        }
+        ${fila("TOTAL", currency(venta.total), "total")}
+        <div class="sep"></div>
+        ${pagos.map((p) => fila(escapeHtml(p.metodo), currency(p.monto))).join("")}
+        ${typeof venta.pagaCon === "number" ? fila("Paga con", currency(venta.pagaCon)) : ""}
+        ${typeof venta.pagaCon === "number" ? fila("Vuelto", currency(venta.vuelto)) : ""}
+        <div class="sep"></div>
+        <div class="center">${escapeHtml(comercio.pie || "¡Gracias por su compra!")}</div>
+        <div class="center small">Comprobante no válido como factura</div>
+      </body>
+      </html>
+    `;
+}
+
+// Abre la ventana de impresión del ticket; false si el navegador la bloqueó
+function printTicket(venta, settings) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(buildTicketHtml(venta, settings));
+  w.document.close();
+  return true;
+}
+
+// ---- Impresora térmica (ESC/POS) ----
+// Salida "navegador" usa la ventana de impresión (HTML); "descarga" baja un
+// .bin con los comandos y "puente" los envía por POST a un servicio local
+// que reenvía los bytes a la impresora (USB / red).
+const DEFAULT_IMPRESORA = {
+  salida: "navegador",
+  puenteUrl: "http://localhost:9100/imprimir",
+  abrirCajon: false,
+};
+
+const impresoraCfg = (settings) => ({
+  ...DEFAULT_IMPRESORA,
+  ...((settings || {}).impresora || {}),
+});
+
+// Caracteres por línea en fuente A: 32 en 58 mm, 48 en 80 mm
+const escposColumnas = (settings) =>
+  ((settings || {}).ticket || {}).ancho === "58" ? 32 : 48;
+
+const fechaCorta = (f) =>
+  new Date(f).toLocaleString("es-AR", { dateStyle: "short", timeStyle: "short" });
+
+function escposEncabezado(p, settings) {
+  const comercio = (settings || {}).comercio || {};
+  p.init().align("center");
+  if (comercio.nombre) {
+    p.bold(true).size(2, 2).line(comercio.nombre).size(1, 1).bold(false);
+  }
+  if (comercio.direccion) p.line(comercio.direccion);
+  if (comercio.telefono) p.line(`Tel: ${comercio.telefono}`);
+  if (comercio.cuit) p.line(`CUIT: ${comercio.cuit}`);
+  return p.align("left").separador();
+}
+
+// Mismo contenido que buildTicketHtml; con cajon = true agrega el pulso al final
+function ventaEscPos(venta, settings, { cajon = false } = {}) {
+  const p = createEscPos({ columnas: escposColumnas(settings) });
+  escposEncabezado(p, settings);
+  p.line(`Ticket N° ${ventaNumero(venta)}`).line(fechaCorta(venta.fecha)).separador();
+
+  for (const i of venta.items || []) {
+    const detalle =
+      typeof i.importe === "number"
+        ? formatQty(i.qty, i.unidad)
+        : `${formatQty(i.qty, i.unidad)} x ${currency(i.precio)}`;
+    p.line(i.nombre).row(`  ${detalle}`, currency(lineGross(i)));
+    if (i.promo) p.row(`  ${i.promo.nombre}`, `-${currency(i.promo.monto)}`);
+    if (i.descuento) {
+      p.row(
+        `  Desc. ${describeDiscount(i.descuento)}`,
+        `-${currency(discountAmount(i.descuento, linePromoBase(i)))}`
+      );
+    }
+  }
+  p.separador();
+
+  const bruto = (venta.items || []).reduce((a, i) => a + lineGross(i), 0);
+  const descLineas =
+    (Number(venta.descuentos) || 0) -
+    (Number(venta.promociones) || 0) -
+    (venta.descuento?.monto || 0);
+  if (venta.descuentos > 0) p.row("Subtotal", currency(bruto));
+  if (venta.promociones) p.row("Promociones", `-${currency(venta.promociones)}`);
+  if (descLineas > 0.004) p.row("Desc. por artículo", `-${currency(descLineas)}`);
+  if (venta.descuento) {
+    p.row(
+      `Desc. ticket ${describeDiscount(venta.descuento)}`,
+      `-${currency(venta.descuento.monto)}`
+    );
+  }
+  // Doble alto: mismo ancho de columnas
+  p.bold(true).size(1, 2).row("TOTAL", currency(venta.total)).size(1, 1).bold(false);
+  p.separador();
+
+  const pagos = Array.isArray(venta.pagos) && venta.pagos.length
+    ? venta.pagos
+    : [{ metodo: venta.metodo, monto: venta.total }];
+  for (const pg of pagos) p.row(pg.metodo, currency(pg.monto));
+  if (typeof venta.pagaCon === "number") {
+    p.row("Paga con", currency(venta.pagaCon)).row("Vuelto", currency(venta.vuelto));
+  }
+
+  p.separador()
+    .align("center")
+    .line((settings || {}).comercio?.pie || "¡Gracias por su compra!")
+    .line("Comprobante no válido como factura")
+    .feed(1)
+    .barcode(ventaNumero(venta), { alto: 50 })
+    .align("left")
+    .cut();
+  if (cajon) p.pulse();
+  return p.bytes();
+}
+
+// r: resumen de CierreDiario; extras: { cajaAnterior, cajaProxDia, pedidosYa, disponible, cerrado }
+function cierreEscPos(fecha, r, extras, settings) {
+  const p = createEscPos({ columnas: escposColumnas(settings) });
+  escposEncabezado(p, settings);
+  p.align("center")
+    .bold(true)
+    .line(`CIERRE DEL DÍA ${fecha.split("-").reverse().join("/")}`)
+    .bold(false)
+    .line(extras.cerrado ? "Cierre definitivo" : "Parcial (día abierto)")
+    .align("left")
+    .separador()
+    .row("Efectivo", currency(r.porMetodo.efectivo))
+    .row("MercadoPago", currency(r.porMetodo.mercadopago))
+    .row("Posnet", currency(r.porMetodo.posnet))
+    .bold(true)
+    .row("Total ventas", currency(r.totalVentas))
+    .bold(false)
+    .row(`Ventas (${r.ventasDia.length})`, "")
+    .row("Descuentos otorgados", currency(r.totalDescuentos));
+  if (r.totalDevoluciones) {
+    p.row(`Devoluciones (${r.devolucionesDia.length})`, `-${currency(r.totalDevoluciones)}`);
+  }
+  p.separador()
+    .row("Compras", currency(r.totalCompras))
+    .row("Gastos", currency(r.totalGastos))
+    .bold(true)
+    .row("Neto del día", currency(r.netoDia))
+    .bold(false)
+    .separador()
+    .row("Caja día anterior", currency(extras.cajaAnterior))
+    .row("Efectivo PedidosYa", currency(extras.pedidosYa))
+    .row("Queda en caja", currency(extras.cajaProxDia))
+    .bold(true)
+    .row("Efectivo disponible", currency(extras.disponible))
+    .bold(false);
+  if (r.control.ventas > 0) {
+    p.separador()
+      .line(`Control de efectivo (${r.control.ventas})`)
+      .row("Recibido", currency(r.control.recibido))
+      .row("Vueltos", currency(r.control.vuelto))
+      .row("Cobrado", currency(r.control.cobrado));
+  }
+  return p.separador().line(`Impreso: ${fechaCorta(new Date())}`).cut().bytes();
+}
+
+// Estado de cuenta (ver estadoCuentaFiado): movimientos con saldo acumulado
+function fiadoEscPos(estado, persona, settings) {
+  const p = createEscPos({ columnas: escposColumnas(settings) });
+  escposEncabezado(p, settings);
+  p.align("center")
+    .bold(true)
+    .line("ESTADO DE CUENTA")
+    .bold(false)
+    .line(persona.nombre)
+    .line(`Período: ${periodoTexto(estado)}`)
+    .align("left")
+    .separador()
+    .row("Saldo anterior", currency(estado.saldoInicial));
+
+  for (const m of estado.movimientos) {
+    if (m.tipo === "abono") {
+      p.bold(true).row(`${fechaDia(m.fecha)} Abono`, `-${currency(m.monto)}`).bold(false);
+    } else {
+      p.bold(true).row(`${fechaDia(m.fecha)} Compra`, currency(m.monto)).bold(false);
+      for (const i of m.items) {
+        p.row(
+          `  ${formatQty(i.qty, i.unidad)} ${i.nombre}${i.congelado ? "" : " *"}`,
+          currency(i.monto)
+        );
+      }
+      if (m.descuento) p.line(`  Desc. ticket ${describeDiscount(m.descuento)}`);
+    }
+    p.row("  Saldo", currency(m.saldo));
+  }
+  if (!estado.movimientos.length) p.line("Sin movimientos en el período");
+
+  p.separador()
+    .bold(true)
+    .size(1, 2)
+    .row("SALDO", currency(estado.saldoFinal))
+    .size(1, 1)
+    .bold(false);
+  if (estado.hayPreciosActuales) p.line("* precio actual del catálogo");
+  return p.line(`Impreso: ${fechaCorta(new Date())}`).cut().bytes();
+}
+
+// Envía los bytes según la configuración; devuelve { ok, error? }
+async function enviarEscPos(bytes, nombre, settings) {
+  const cfg = impresoraCfg(settings);
+  if (cfg.salida !== "puente") {
+    download(`${nombre}.bin`, bytes);
+    return { ok: true };
+  }
+  try {
+    const res = await fetch(cfg.puenteUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: bytes,
+    });
+    return res.ok ? { ok: true } : { ok: false, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+}
+
+// Ticket de una venta por la salida configurada (HTML o ESC/POS)
+async function imprimirVenta(venta, settings, { cajon = false } = {}) {
+  if (impresoraCfg(settings).salida === "navegador") {
+    return printTicket(venta, settings)
+      ? { ok: true }
+      : {
+          ok: false,
+          error:
+            "No se pudo abrir la ventana de impresión. Revisa el bloqueador de ventanas emergentes.",
+        };
+  }
+  return enviarEscPos(
+    ventaEscPos(venta, settings, { cajon }),
+    `ticket-${ventaNumero(venta)}`,
+    settings
+  );
+}
+
+// Redondeo al múltiplo más cercano (step 0 → centavos)
+const roundPrice = (n, step) =>
+  step ? Math.round(n / step) * step : Math.round(n * 100) / 100;
+
 const parseMoneyInput = (v) => {
   const n = parseFloat(String(v || "").replace(/\./g, "").replace(",", "."));
   return Number.isFinite(n) ? n : 0;
@@ -97,57 +1204,184 @@ function download(filename, text) {
   URL.revokeObjectURL(url);
 }
 
+// Devuelve { rows, invalidas }. Las filas con EAN inválido se incluyen en
+// ambas listas para que quien importa decida si las omite.
 function parseCSV(raw) {
   const sep = raw.includes(";") && !raw.includes(",") ? ";" : ",";
   const lines = raw
     .split(/\r?\n/)
     .map((l) => l.trim())
     .filter(Boolean);
-  if (!lines.length) return [];
+  if (!lines.length) return { rows: [], invalidas: [] };
   const header = lines[0].split(sep).map((h) => h.trim().toLowerCase());
   const iEAN = header.indexOf("ean");
   const iNombre = header.indexOf("nombre");
   const iPrecio = header.indexOf("precio");
+  const iCosto = header.indexOf("costo"); // opcional
+  const iCategoria = header.indexOf("categoria"); // opcional
   if (iEAN === -1 || iNombre === -1 || iPrecio === -1) {
     throw new Error(
       "CSV inválido. Debe incluir columnas: ean,nombre,precio (separadas por coma o punto y coma)."
     );
   }
   const out = [];
+  const invalidas = [];
   for (let i = 1; i < lines.length; i++) {
     const cols = lines[i].split(sep).map((c) => c.trim());
     if (!cols[iEAN]) continue;
-    const ean = cols[iEAN];
+    const ean = normalizeEAN(cols[iEAN]);
     const nombre = cols[iNombre] || "(sin nombre)";
     const precio = parseFloat(
       (cols[iPrecio] || "0").replace(/\./g, "").replace(",", ".")
     );
     if (!isFinite(precio)) continue;
-    out.push({ id: uid(), ean, nombre, precio: +precio });
+    const row = { id: uid(), ean, nombre, precio: +precio };
+    if (iCosto !== -1 && cols[iCosto]) {
+      const costo = parseFloat(
+        cols[iCosto].replace(/\./g, "").replace(",", ".")
+      );
+      if (isFinite(costo)) row.costo = +costo;
+    }
+    if (iCategoria !== -1 && cols[iCategoria]) {
+      row.categoria = cols[iCategoria];
+    }
+    const motivo = eanIssue(ean);
+    if (motivo) invalidas.push({ linea: i + 1, ean, motivo, row });
+    out.push(row);
   }
-  return out;
+  return { rows: out, invalidas };
+}
+
+// ---- Búsqueda de productos ----
+// Minúsculas y sin acentos, para comparar nombres
+const foldText = (t) =>
+  String(t || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Puntaje de coincidencia aproximada por nombre o EAN parcial (0 = no coincide)
+function matchScore(prod, query) {
+  const q = foldText(query).trim();
+  if (!q) return 0;
+  const nombre = foldText(prod.nombre);
+  const ean = String(prod.ean || "").toLowerCase();
+  if (ean.includes(q)) return ean.startsWith(q) ? 90 : 70;
+  if (nombre.startsWith(q)) return 100;
+  const tokens = q.split(/\s+/);
+  if (tokens.every((t) => nombre.includes(t))) {
+    const palabras = nombre.split(/\s+/);
+    return tokens.every((t) => palabras.some((w) => w.startsWith(t)))
+      ? 80
+      : 60;
+  }
+  // Letras en orden aunque falten algunas ("yrba" → "yerba")
+  const letras = q.replace(/\s+/g, "");
+  if (letras.length < 3) return 0;
+  let k = 0;
+  for (const ch of nombre) {
+    if (ch === letras[k]) k++;
+    if (k === letras.length) return 30;
+  }
+  return 0;
+}
+
+function searchProductos(productos, query, limit = 8) {
+  return (productos || [])
+    .map((p) => ({ p, score: matchScore(p, query) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.p.nombre.localeCompare(b.p.nombre))
+    .slice(0, limit)
+    .map((r) => r.p);
 }
 
 // ---- Fiados: cálculo de saldo ----
-function computeSaldoPersona(fiador, productos) {
-  const map = new Map((productos || []).map((p) => [p.ean, p]));
-  let totalCargos = 0;
+// settings.fiados = {
+//   limite: "avisar" | "bloquear"            (al superar el límite de crédito)
+//   precios: { modo: "actual" | "congelar" | "dias", dias }
+//   alertaDias: días sin abonos para resaltar al cliente (antigüedad)
+// }
+// Cada persona puede tener su propia `politicaPrecios` con la misma forma.
+const fiadosCfg = (settings) => {
+  const cfg = (settings || {}).fiados || {};
+  return {
+    ...cfg,
+    limite: cfg.limite || "avisar",
+    alertaDias: Number(cfg.alertaDias) || 30,
+    precios: { modo: "actual", dias: 30, ...(cfg.precios || {}) },
+  };
+};
 
-  for (const cargo of fiador.cargos || []) {
-    for (const item of cargo.items || []) {
-      const prod = map.get(item.ean);
-      const qty = Number(item.qty) || 0;
+const POLITICAS_PRECIO = {
+  actual: "Seguir el precio actual del catálogo",
+  congelar: "Congelar el precio al momento de la venta",
+  dias: "Precio actual hasta N días, luego congelado",
+};
+
+const politicaPrecios = (persona, settings) =>
+  persona?.politicaPrecios || fiadosCfg(settings).precios;
 
-      const precioBase =
-        typeof item.precioUnitario === "number"
-          ? item.precioUnitario
-          : prod
-          ? Number(prod.precio) || 0
-          : 0;
+const DIA_MS = 24 * 60 * 60 * 1000;
 
-      totalCargos += precioBase * qty;
+// Precio que tenía el producto en una fecha, según su historial de precios
+function precioEnFecha(prod, fecha) {
+  const t = new Date(fecha).getTime();
+  let precio = Number(prod.precio) || 0;
+  for (const h of prod.historialPrecios || []) {
+    // El historial va del cambio más reciente al más antiguo
+    if (new Date(h.fecha).getTime() <= t) break;
+    precio = Number(h.antes) || 0;
+  }
+  return precio;
+}
+
+// Precio unitario de un ítem fiado:
+// - precioUnitario guardado (congelado al vender o por migración)
+// - modo "dias": pasado el plazo, el precio que tenía el producto ese día
+// - si no, el precio actual del producto
+// Los ítems con importe de balanza ya están congelados.
+function fiadoItemPrecio(item, prod, fecha, politica) {
+  if (typeof item.precioUnitario === "number") {
+    return { precio: item.precioUnitario, congelado: true };
+  }
+  if (!prod) return { precio: 0, congelado: typeof item.importe === "number" };
+  if (politica?.modo === "dias" && fecha) {
+    const limite = new Date(fecha).getTime() + (Number(politica.dias) || 0) * DIA_MS;
+    if (limite <= Date.now()) {
+      return { precio: precioEnFecha(prod, limite), congelado: true };
     }
   }
+  return {
+    precio: Number(prod.precio) || 0,
+    congelado: typeof item.importe === "number",
+  };
+}
+
+// Importe de un ítem fiado, menos el descuento de la línea
+function fiadoItemAmount(item, prod, fecha, politica) {
+  return lineTotal({
+    ...item,
+    precio: fiadoItemPrecio(item, prod, fecha, politica).precio,
+  });
+}
+
+// Total de una carga fiada, con el descuento al ticket si lo tuvo
+function fiadoCargoTotal(cargo, mapProd, politica) {
+  const sub = (cargo.items || []).reduce(
+    (a, it) => a + fiadoItemAmount(it, mapProd.get(it.ean), cargo.fecha, politica),
+    0
+  );
+  return sub - discountAmount(cargo.descuento, sub);
+}
+
+function computeSaldoPersona(fiador, productos, settings) {
+  const map = new Map((productos || []).map((p) => [p.ean, p]));
+  const politica = politicaPrecios(fiador, settings);
+  let totalCargos = 0;
+
+  for (const cargo of fiador.cargos || []) {
+    totalCargos += fiadoCargoTotal(cargo, map, politica);
+  }
 
   const totalAbonos = (fiador.abonos || []).reduce(
     (a, b) => a + (b.monto || 0),
@@ -157,11 +1391,447 @@ function computeSaldoPersona(fiador, productos) {
   return totalCargos - totalAbonos;
 }
 
-// ---- Almacenamiento por usuario ----
-function useUserStorage(email) {
-  const [state, setState] = useState({
-    productos: [],
-    ventas: [],
+// Migración al pasar a "congelar": guarda precioUnitario en los ítems que aún
+// siguen el catálogo. criterio "saldo" usa el precio con que se valúan hoy
+// (el saldo no cambia); "venta", el precio que tenía el producto ese día.
+function congelarPreciosFiado(persona, productos, politica, criterio) {
+  const map = new Map((productos || []).map((p) => [p.ean, p]));
+  return {
+    ...persona,
+    cargos: (persona.cargos || []).map((c) => ({
+      ...c,
+      items: (c.items || []).map((it) => {
+        const prod = map.get(it.ean);
+        if (typeof it.precioUnitario === "number" || !prod) return it;
+        if (typeof it.importe === "number") return it;
+        const precio =
+          criterio === "venta"
+            ? precioEnFecha(prod, c.fecha)
+            : fiadoItemPrecio(it, prod, c.fecha, politica).precio;
+        return { ...it, precioUnitario: precio };
+      }),
+    })),
+  };
+}
+
+// Ítems que la migración congelaría
+const itemsSinCongelar = (persona, productos) => {
+  const eans = new Set((productos || []).map((p) => p.ean));
+  return (persona.cargos || []).reduce(
+    (a, c) =>
+      a +
+      (c.items || []).filter(
+        (it) =>
+          typeof it.precioUnitario !== "number" &&
+          typeof it.importe !== "number" &&
+          eans.has(it.ean)
+      ).length,
+    0
+  );
+};
+
+// ---- Clientes de fiado ----
+// Cada persona de "fiados" es también la ficha del cliente:
+// { id, nombre, telefono?, direccion?, dni?, notas?, limite?, cargos, abonos,
+//   archivado?: { fecha, motivo: "saldado" | "manual" } }
+// Las cuentas archivadas conservan cargos y abonos; una nueva compra fiada las reactiva.
+const CLIENTE_CAMPOS = [
+  ["nombre", "Nombre y apellido"],
+  ["telefono", "Teléfono"],
+  ["dni", "DNI"],
+  ["direccion", "Dirección"],
+  ["notas", "Notas"],
+];
+
+const archivar = (persona, motivo) => ({
+  ...persona,
+  archivado: { fecha: new Date().toISOString(), motivo },
+});
+
+const reactivar = (persona) => {
+  const { archivado: _omit, ...rest } = persona;
+  return rest;
+};
+
+// Búsqueda por nombre (sin acentos), DNI o teléfono
+function buscarClientes(personas, query) {
+  const q = foldText(query).trim();
+  const lista = [...(personas || [])].sort((a, b) =>
+    a.nombre.localeCompare(b.nombre)
+  );
+  if (!q) return lista;
+  const digitos = q.replace(/\D/g, "");
+  return lista.filter((p) => {
+    const nombre = foldText(p.nombre);
+    if (q.split(/\s+/).every((t) => nombre.includes(t))) return true;
+    if (!digitos) return false;
+    return (
+      String(p.dni || "").replace(/\D/g, "").includes(digitos) ||
+      String(p.telefono || "").replace(/\D/g, "").includes(digitos)
+    );
+  });
+}
+
+// Saldo actual y el que quedaría con un nuevo cargo; límite 0/vacío = sin límite
+function controlLimite(persona, productos, monto, settings) {
+  const saldo = persona ? computeSaldoPersona(persona, productos, settings) : 0;
+  const limite = Number(persona?.limite) || 0;
+  const nuevo = saldo + (Number(monto) || 0);
+  return { saldo, limite, nuevo, excede: limite > 0 && nuevo > limite + 0.004 };
+}
+
+// ---- Estado de cuenta (fiados) ----
+// Movimientos de una persona en el período [desde, hasta] (YYYY-MM-DD, vacío
+// = sin límite) con saldo acumulado. Lo anterior a `desde` va al saldo inicial.
+function estadoCuentaFiado(persona, productos, desde, hasta, settings) {
+  const mapProd = new Map((productos || []).map((p) => [p.ean, p]));
+  const politica = politicaPrecios(persona, settings);
+  const todos = [
+    ...(persona.cargos || []).map((c) => {
+      const items = (c.items || []).map((it) => {
+        const prod = mapProd.get(it.ean);
+        const { precio, congelado } = fiadoItemPrecio(it, prod, c.fecha, politica);
+        return {
+          ean: it.ean,
+          nombre: prod?.nombre || "Producto sin nombre",
+          qty: Number(it.qty) || 0,
+          unidad: prod?.unidad,
+          precio,
+          importe: it.importe,
+          congelado,
+          monto: fiadoItemAmount(it, prod, c.fecha, politica),
+        };
+      });
+      return {
+        tipo: "cargo",
+        id: c.id,
+        fecha: c.fecha,
+        items,
+        descuento: c.descuento,
+        monto: fiadoCargoTotal(c, mapProd, politica),
+      };
+    }),
+    ...(persona.abonos || []).map((a) => ({
+      tipo: "abono",
+      id: a.id,
+      fecha: a.fecha,
+      monto: Number(a.monto) || 0,
+    })),
+  ].sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+
+  let saldo = 0;
+  let saldoInicial = 0;
+  const movimientos = [];
+  for (const m of todos) {
+    const dia = periodKey(m.fecha, "dia");
+    if (hasta && dia > hasta) continue;
+    saldo += m.tipo === "cargo" ? m.monto : -m.monto;
+    if (desde && dia < desde) saldoInicial = saldo;
+    else movimientos.push({ ...m, saldo });
+  }
+
+  const sumar = (tipo) =>
+    movimientos.filter((m) => m.tipo === tipo).reduce((a, m) => a + m.monto, 0);
+  return {
+    desde,
+    hasta,
+    saldoInicial,
+    movimientos,
+    totalCargos: sumar("cargo"),
+    totalAbonos: sumar("abono"),
+    saldoFinal: saldo,
+    hayPreciosActuales: movimientos.some(
+      (m) => m.tipo === "cargo" && m.items.some((i) => !i.congelado)
+    ),
+  };
+}
+
+const fechaDia = (f) => new Date(f).toLocaleDateString("es-AR");
+const fechaISOaDia = (iso) => iso.split("-").reverse().join("/");
+
+const periodoTexto = (estado) =>
+  estado.desde || estado.hasta
+    ? `${estado.desde ? fechaISOaDia(estado.desde) : "inicio"} al ${
+        estado.hasta ? fechaISOaDia(estado.hasta) : "hoy"
+      }`
+    : "todos los movimientos";
+
+function buildEstadoCuentaHtml(estado, persona, settings) {
+  const comercio = (settings || {}).comercio || {};
+  const filas = estado.movimientos
+    .map((m) => {
+      if (m.tipo === "abono") {
+        return `
+          <tr class="abono">
+            <td>${fechaDia(m.fecha)}</td>
+            <td colspan="4">Abono</td>
+            <td class="num">-${currency(m.monto)}</td>
+            <td class="num">${currency(m.saldo)}</td>
+          </tr>`;
+      }
+      const items = m.items
+        .map(
+          (i) => `
+          <tr class="item">
+            <td></td>
+            <td>${escapeHtml(i.ean)}</td>
+            <td>${escapeHtml(i.nombre)}</td>
+            <td class="num">${escapeHtml(formatQty(i.qty, i.unidad))}</td>
+            <td class="num">${
+              typeof i.importe === "number"
+                ? "balanza"
+                : `${currency(i.precio)}${i.congelado ? "" : " *"}`
+            }</td>
+            <td class="num">${currency(i.monto)}</td>
+            <td></td>
+          </tr>`
+        )
+        .join("");
+      return `
+          <tr class="cargo">
+            <td>${fechaDia(m.fecha)}</td>
+            <td colspan="4">Compra${
+              m.descuento ? ` (desc. ${escapeHtml(describeDiscount(m.descuento))})` : ""
+            }</td>
+            <td class="num">${currency(m.monto)}</td>
+            <td class="num">${currency(m.saldo)}</td>
+          </tr>${items}`;
+    })
+    .join("");
+
+  return `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8" />
+        <title>Estado de cuenta - ${escapeHtml(persona.nombre)}</title>
+        <style>
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: 16px 24px;
+            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+            font-size: 12px;
+          }
+          h1 { font-size: 20px; margin: 0 0 4px 0; }
+          .range { font-size: 13px; color: #4b5563; margin: 2px 0 16px 0; }
+          table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+          th, td { border: 1px solid #e5e7eb; padding: 4px 6px; }
+          th { background: #f3f4f6; font-size: 11px; text-align: left; }
+          .num { text-align: right; white-space: nowrap; }
+          tr.cargo td { font-weight: 600; background: #f9fafb; }
+          tr.item td { color: #4b5563; font-size: 11px; }
+          tr.abono td { color: #047857; }
+          .total { font-size: 15px; font-weight: 700; margin-top: 12px; text-align: right; }
+          .nota { font-size: 11px; color: #6b7280; margin-top: 8px; }
+          @page { margin: 12mm; }
+        </style>
+      </head>
+      <body onload="window.print()">
+        ${comercio.nombre ? `<div>${escapeHtml(comercio.nombre)}</div>` : ""}
+        <h1>Estado de cuenta: ${escapeHtml(persona.nombre)}</h1>
+        <div class="range">
+          Período: ${periodoTexto(estado)}
+          ${persona.dni ? ` · DNI ${escapeHtml(persona.dni)}` : ""}
+          ${persona.telefono ? ` · Tel. ${escapeHtml(persona.telefono)}` : ""}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Fecha</th>
+              <th>EAN</th>
+              <th>Producto</th>
+              <th class="num">Cant.</th>
+              <th class="num">Precio unit.</th>
+              <th class="num">Importe</th>
+              <th class="num">Saldo</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td colspan="6">Saldo anterior</td>
+              <td class="num">${currency(estado.saldoInicial)}</td>
+            </tr>
+            ${filas}
+          </tbody>
+        </table>
+        <div class="total">Saldo: ${currency(estado.saldoFinal)}</div>
+        <div class="nota">
+          Compras: ${currency(estado.totalCargos)} · Abonos: ${currency(estado.totalAbonos)}
+        </div>
+        ${
+          estado.hayPreciosActuales
+            ? `<div class="nota">* Precio actual del catálogo: puede cambiar hasta que se cancele la deuda. El resto de los precios quedaron fijos al momento de la compra.</div>`
+            : ""
+        }
+      </body>
+      </html>
+    `;
+}
+
+// Texto plano para pegar en WhatsApp (*negrita*)
+function estadoCuentaTexto(estado, persona, settings) {
+  const comercio = (settings || {}).comercio || {};
+  const lineas = [
+    `*Estado de cuenta - ${persona.nombre}*`,
+    ...(comercio.nombre ? [comercio.nombre] : []),
+    `Período: ${periodoTexto(estado)}`,
+    "",
+    `Saldo anterior: ${currency(estado.saldoInicial)}`,
+  ];
+  for (const m of estado.movimientos) {
+    lineas.push("");
+    if (m.tipo === "abono") {
+      lineas.push(`${fechaDia(m.fecha)} Abono: -${currency(m.monto)}`);
+    } else {
+      lineas.push(`${fechaDia(m.fecha)} Compra: ${currency(m.monto)}`);
+      for (const i of m.items) {
+        const precio =
+          typeof i.importe === "number"
+            ? "balanza"
+            : `${currency(i.precio)} c/u${i.congelado ? "" : " (*)"}`;
+        lineas.push(
+          `• ${formatQty(i.qty, i.unidad)} ${i.nombre} (${i.ean}) ${precio} = ${currency(i.monto)}`
+        );
+      }
+      if (m.descuento) lineas.push(`• Descuento ${describeDiscount(m.descuento)}`);
+    }
+    lineas.push(`Saldo: ${currency(m.saldo)}`);
+  }
+  const al = estado.hasta ? ` al ${fechaISOaDia(estado.hasta)}` : "";
+  lineas.push("", `*Saldo${al}: ${currency(estado.saldoFinal)}*`);
+  if (estado.hayPreciosActuales) {
+    lineas.push("(*) precio actual del catálogo, puede cambiar");
+  }
+  return lineas.join("\n");
+}
+
+// wa.me exige el número internacional. Los teléfonos se cargan en formato
+// local ("011 15 2345-6789", "351 4567890"): se quitan el 0 y el 15 y se
+// agrega 54 9 (celulares de Argentina). Lo que ya empieza con 54 se respeta.
+function telefonoWhatsApp(telefono) {
+  let n = String(telefono || "").replace(/\D/g, "").replace(/^00/, "");
+  if (!n || n.startsWith("54")) return n;
+  n = n.replace(/^0/, "");
+  if (n.length === 12) {
+    // Código de área de 2 a 4 dígitos seguido del 15
+    const i = [2, 3, 4].find((k) => n.slice(k, k + 2) === "15");
+    if (i != null) n = n.slice(0, i) + n.slice(i + 2);
+  }
+  return n.length === 10 ? `549${n}` : n;
+}
+
+// ---- Antigüedad de deuda (fiados) ----
+const TRAMOS_ANTIGUEDAD = [
+  { id: "d30", label: "0–30 días", hasta: 30, peso: 1 },
+  { id: "d60", label: "31–60 días", hasta: 60, peso: 2 },
+  { id: "d90", label: "61–90 días", hasta: 90, peso: 3 },
+  { id: "d90mas", label: "Más de 90", hasta: Infinity, peso: 4 },
+];
+
+// Saldo por tramo según la fecha de cada compra; los abonos cancelan primero
+// las compras más antiguas (FIFO). riesgo = saldo ponderado por antigüedad.
+function antiguedadFiado(persona, productos, settings, hoy = new Date()) {
+  const mapProd = new Map((productos || []).map((p) => [p.ean, p]));
+  const politica = politicaPrecios(persona, settings);
+  const cargos = [...(persona.cargos || [])]
+    .sort((a, b) => new Date(a.fecha) - new Date(b.fecha))
+    .map((c) => ({ fecha: c.fecha, pendiente: fiadoCargoTotal(c, mapProd, politica) }));
+  const abonos = persona.abonos || [];
+
+  let disponible = abonos.reduce((a, b) => a + (Number(b.monto) || 0), 0);
+  for (const c of cargos) {
+    const usado = Math.min(disponible, c.pendiente);
+    c.pendiente -= usado;
+    disponible -= usado;
+  }
+
+  const tramos = Object.fromEntries(TRAMOS_ANTIGUEDAD.map((t) => [t.id, 0]));
+  let masAntiguo = null;
+  for (const c of cargos) {
+    if (c.pendiente <= 0.004) continue;
+    const dias = Math.floor((hoy - new Date(c.fecha)) / DIA_MS);
+    const tramo = TRAMOS_ANTIGUEDAD.find((t) => dias <= t.hasta);
+    tramos[tramo.id] += c.pendiente;
+    if (!masAntiguo) masAntiguo = c.fecha;
+  }
+
+  const ultimoAbono = abonos.reduce(
+    (max, a) => (!max || new Date(a.fecha) > new Date(max) ? a.fecha : max),
+    null
+  );
+  // Sin abonos: se cuenta desde la compra impaga más antigua
+  const desde = ultimoAbono || masAntiguo;
+  return {
+    saldo: computeSaldoPersona(persona, productos, settings),
+    tramos,
+    ultimoAbono,
+    diasSinAbono: desde ? Math.floor((hoy - new Date(desde)) / DIA_MS) : null,
+    riesgo: TRAMOS_ANTIGUEDAD.reduce((a, t) => a + tramos[t.id] * t.peso, 0),
+  };
+}
+
+// ---- Stock ----
+// Solo se controla el stock de productos con `stock` numérico.
+const needsRestock = (p) =>
+  typeof p.stock === "number" &&
+  typeof p.stockMinimo === "number" &&
+  p.stock <= p.stockMinimo;
+
+// sign = -1 descuenta (venta), sign = +1 repone (venta eliminada).
+function applyStockDelta(productos, items, sign) {
+  const delta = new Map();
+  for (const it of items || []) {
+    const qty = Number(it.qty) || 0;
+    const key = normalizeEAN(it.ean);
+    delta.set(key, (delta.get(key) || 0) + qty);
+  }
+  return (productos || []).map((p) => {
+    const key = normalizeEAN(p.ean);
+    if (typeof p.stock !== "number" || !delta.has(key)) return p;
+    return { ...p, stock: roundQty(p.stock + sign * delta.get(key)) };
+  });
+}
+
+// ---- Devoluciones ----
+// { id, fecha, ventaId, ventaFecha, metodo, motivo, total,
+//   items: [{ itemId, ean, nombre, unidad, qty, monto }], cierreFecha? }
+
+// Importe cobrado por unidad en cada línea de la venta (con promociones y
+// descuentos de línea, y el descuento al ticket prorrateado).
+function ventaNetoUnitario(venta) {
+  const items = venta.items || [];
+  const sumaLineas = items.reduce((a, i) => a + lineTotal(i), 0);
+  const cobrado =
+    Array.isArray(venta.pagos) && venta.pagos.length
+      ? venta.pagos.reduce((a, p) => a + (p.monto || 0), 0)
+      : Number(venta.total) || 0;
+  const factor = sumaLineas > 0 ? cobrado / sumaLineas : 0;
+  return new Map(
+    items.map((i) => [
+      i.id,
+      (Number(i.qty) || 0) > 0 ? (lineTotal(i) * factor) / i.qty : 0,
+    ])
+  );
+}
+
+// Cantidades ya devueltas por línea de una venta
+function devueltoPorItem(devoluciones, ventaId) {
+  const map = new Map();
+  for (const d of devoluciones || []) {
+    if (d.ventaId !== ventaId) continue;
+    for (const it of d.items || []) {
+      map.set(it.itemId, roundQty((map.get(it.itemId) || 0) + it.qty));
+    }
+  }
+  return map;
+}
+
+// ---- Almacenamiento por usuario ----
+function useUserStorage(email) {
+  const [state, setState] = useState({
+    productos: [],
+    ventas: [],
     gastos: [],
     proveedores: [],
     cierres: {},
@@ -396,21 +2066,63 @@ function Login({ onLogin }) {
 function Productos({ data, setData }) {
   const [q, setQ] = useState("");
   const [selectedIds, setSelectedIds] = useState([]);
+  const [categoriaFiltro, setCategoriaFiltro] = useState(""); // "" = todas
+  const proveedores = data.proveedores || [];
+  const categorias = useMemo(
+    () => listCategorias(data.productos),
+    [data.productos]
+  );
 
   const results = useMemo(() => {
     const term = q.trim().toLowerCase();
-    if (!term) return data.productos;
-    return data.productos.filter(
+    const porCategoria = !categoriaFiltro
+      ? data.productos
+      : data.productos.filter((p) =>
+          categoriaFiltro === SIN_CATEGORIA
+            ? !p.categoria
+            : p.categoria === categoriaFiltro
+        );
+    if (!term) return porCategoria;
+    return porCategoria.filter(
       (p) =>
         String(p.ean).toLowerCase().includes(term) ||
         p.nombre.toLowerCase().includes(term)
     );
-  }, [q, data.productos]);
+  }, [q, categoriaFiltro, data.productos]);
+
+  const selectCategoria = () => {
+    if (!categoriaFiltro) return;
+    const ids = data.productos
+      .filter((p) =>
+        categoriaFiltro === SIN_CATEGORIA
+          ? !p.categoria
+          : p.categoria === categoriaFiltro
+      )
+      .map((p) => p.id);
+    setSelectedIds(ids);
+  };
 
   const updatePrecio = (id, precio) => {
     setData((s) => ({
       ...s,
-      productos: s.productos.map((p) => (p.id === id ? { ...p, precio } : p)),
+      productos: s.productos.map((p) =>
+        p.id === id ? withPrecio(p, precio, "manual") : p
+      ),
+    }));
+  };
+
+  // value null → se quita el campo (p.ej. producto sin control de stock)
+  const updateOptional = (id, field, value) => {
+    setData((s) => ({
+      ...s,
+      productos: s.productos.map((p) => {
+        if (p.id !== id) return p;
+        if (value === null) {
+          const { [field]: _omit, ...rest } = p;
+          return rest;
+        }
+        return { ...p, [field]: value };
+      }),
     }));
   };
 
@@ -448,18 +2160,36 @@ function Productos({ data, setData }) {
   };
 
   const addManual = () => {
-    const ean = (prompt("EAN del artículo") || "").trim();
+    const ean = normalizeEAN(prompt("EAN del artículo") || "");
     if (!ean) return;
-    if (data.productos.some((p) => String(p.ean) === ean)) {
+    if (data.productos.some((p) => sameEAN(p.ean, ean))) {
       alert("Ya existe un producto con ese EAN. No se agregará.");
       return;
     }
+    const motivo = eanIssue(ean);
+    if (
+      motivo &&
+      !confirm(`El EAN ${ean} parece mal tipeado: ${motivo}.\n\n¿Agregarlo igual?`)
+    )
+      return;
     const nombre = prompt("Nombre del artículo") || "(sin nombre)";
     const precio = parseFloat(prompt("Precio ARS") || "0");
     if (!isFinite(precio)) return alert("Precio inválido");
+    const stockRaw = (
+      prompt("Stock inicial (dejar vacío para no controlar stock)") || ""
+    ).trim();
+    const stock = stockRaw ? parseFloat(stockRaw.replace(",", ".")) : null;
+    if (stockRaw && !isFinite(stock)) return alert("Stock inválido");
+    const categoria = (
+      prompt(`Categoría (opcional). Ej: ${categorias.slice(0, 3).join(", ")}`) ||
+      ""
+    ).trim();
+    const nuevo = { id: uid(), ean, nombre, precio: +precio };
+    if (stock !== null) nuevo.stock = stock;
+    if (categoria) nuevo.categoria = categoria;
     setData((s) => ({
       ...s,
-      productos: [...s.productos, { id: uid(), ean, nombre, precio: +precio }],
+      productos: [...s.productos, nuevo],
     }));
   };
 
@@ -486,7 +2216,104 @@ function Productos({ data, setData }) {
     }
   };
 
-  const generateLabels = () => {
+  const [ajusteOpen, setAjusteOpen] = useState(false);
+  const [historialId, setHistorialId] = useState(null);
+  const historialProd = historialId
+    ? data.productos.find((p) => p.id === historialId)
+    : null;
+  const ultimoAjuste = data.ultimoAjustePrecios || null;
+
+  const aplicarAjuste = (cambios) => {
+    const byId = new Map(cambios.map((c) => [c.id, c]));
+    setData((s) => ({
+      ...s,
+      productos: s.productos.map((p) =>
+        byId.has(p.id) ? withPrecio(p, byId.get(p.id).despues, "masivo") : p
+      ),
+      ultimoAjustePrecios: { fecha: new Date().toISOString(), cambios },
+    }));
+    setAjusteOpen(false);
+  };
+
+  const revertirAjuste = () => {
+    if (!ultimoAjuste) return;
+    if (
+      !confirm(
+        `¿Revertir el ajuste de ${ultimoAjuste.cambios.length} precio(s)? Los productos editados después del ajuste no se modifican.`
+      )
+    )
+      return;
+    const byId = new Map(ultimoAjuste.cambios.map((c) => [c.id, c]));
+    // Si el precio cambió después del ajuste, no lo pisamos
+    const omitidos = data.productos.filter(
+      (p) => byId.has(p.id) && p.precio !== byId.get(p.id).despues
+    ).length;
+    setData((s) => ({
+      ...s,
+      productos: s.productos.map((p) => {
+        const c = byId.get(p.id);
+        if (!c || p.precio !== c.despues) return p;
+        return withPrecio(p, c.antes, "reversion");
+      }),
+      ultimoAjustePrecios: null,
+    }));
+    alert(
+      omitidos
+        ? `Ajuste revertido. ${omitidos} producto(s) editados luego del ajuste no se modificaron.`
+        : "Ajuste revertido."
+    );
+  };
+
+  const [etiquetasOpen, setEtiquetasOpen] = useState(false);
+  const [revisionOpen, setRevisionOpen] = useState(false);
+
+  // Pasa los EAN a su forma canónica, también en las cargas de fiados, las
+  // ventas, devoluciones, carritos en espera y promociones (saldos, márgenes
+  // y reportes buscan el producto por EAN)
+  const normalizarEANs = (cambios) => {
+    const map = new Map(cambios.map((c) => [c.antes, c.despues]));
+    const conItems = (docs) =>
+      (docs || []).map((d) => ({
+        ...d,
+        items: (d.items || []).map((it) =>
+          map.has(it.ean) ? { ...it, ean: map.get(it.ean) } : it
+        ),
+      }));
+    setData((s) => ({
+      ...s,
+      productos: s.productos.map((p) =>
+        map.has(p.ean) ? { ...p, ean: map.get(p.ean) } : p
+      ),
+      ventas: conItems(s.ventas),
+      fiados: (s.fiados || []).map((f) => ({
+        ...f,
+        cargos: conItems(f.cargos),
+      })),
+      ...(s.devoluciones ? { devoluciones: conItems(s.devoluciones) } : {}),
+      ...(s.carritosEnEspera
+        ? { carritosEnEspera: conItems(s.carritosEnEspera) }
+        : {}),
+      ...(s.promociones
+        ? {
+            promociones: s.promociones.map((pr) => ({
+              ...pr,
+              eans: (pr.eans || []).map((e) => (map.has(e) ? map.get(e) : e)),
+            })),
+          }
+        : {}),
+    }));
+    alert(`${cambios.length} código(s) normalizados.`);
+  };
+
+  const openEtiquetas = () => {
+    if (!selectedIds.length) {
+      alert("Selecciona al menos un producto para generar etiquetas.");
+      return;
+    }
+    setEtiquetasOpen(true);
+  };
+
+  const generateLabels = (opts) => {
     const selected = data.productos.filter((p) => selectedIds.includes(p.id));
     if (!selected.length) {
       alert("Selecciona al menos un producto para generar etiquetas.");
@@ -501,90 +2328,27 @@ function Productos({ data, setData }) {
       return;
     }
 
-    const labelsHtml = selected
-      .map((p) => {
-        const priceText = currency(p.precio);
-        return `
-          <div class="label">
-            <div class="label-name">${escapeHtml(p.nombre)}</div>
-            <div class="label-price">${priceText}</div>
-            <div class="label-ean">EAN: ${escapeHtml(p.ean)}</div>
-          </div>
-        `;
-      })
-      .join("");
-
-    const html = `
-      <!DOCTYPE html>
-      <html lang="es">
-      <head>
-        <meta charset="utf-8" />
-        <title>Etiquetas de precios</title>
-        <style>
-          * { box-sizing: border-box; }
-          body {
-            margin: 0;
-            padding: 16px;
-            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-          }
-          .labels {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 12px;
-          }
-          .label {
-            width: 180px;
-            height: 110px;
-            border: 2px solid #111827;
-            border-radius: 10px;
-            padding: 8px 10px;
-            display: flex;
-            flex-direction: column;
-            justify-content: space-between;
-          }
-          .label-name {
-            font-size: 12px;
-            font-weight: 600;
-            color: #111827;
-            line-height: 1.2;
-          }
-          .label-price {
-            font-size: 26px;
-            font-weight: 800;
-            text-align: center;
-            color: #111827;
-            margin-top: 6px;
-          }
-          .label-ean {
-            font-size: 10px;
-            color: #4b5563;
-            text-align: right;
-          }
-          @page {
-            margin: 10mm;
-          }
-        </style>
-      </head>
-      <body onload="window.print()">
-        <div class="labels">
-          ${labelsHtml}
-        </div>
-      </body>
-      </html>
-    `;
+    // Recordamos la última configuración usada
+    setData((s) => ({
+      ...s,
+      settings: { ...(s.settings || {}), etiquetas: opts },
+    }));
+    setEtiquetasOpen(false);
 
     w.document.open();
-    w.document.write(html);
+    w.document.write(buildLabelsHtml(selected, opts));
     w.document.close();
   };
 
   const exportProductos = () => {
     const rows = [
-      ["ean", "nombre", "precio"],
+      ["ean", "nombre", "precio", "costo", "categoria"],
       ...data.productos.map((p) => [
         p.ean,
         p.nombre,
         p.precio != null ? p.precio : 0,
+        p.costo != null ? p.costo : "",
+        p.categoria || "",
       ]),
     ];
     const csv = rows
@@ -603,7 +2367,7 @@ function Productos({ data, setData }) {
   return (
     <Section
       title="Productos"
-      desc="Busca por código o nombre. Edita nombres y precios haciendo clic en el valor. No permite EAN duplicados."
+      desc="Busca por código o nombre. Edita nombres, precios y stock haciendo clic en el valor. No permite EAN duplicados."
       right={
         <div className="flex flex-wrap gap-2 justify-end">
           <button
@@ -613,11 +2377,35 @@ function Productos({ data, setData }) {
             + Agregar
           </button>
           <button
-            onClick={generateLabels}
+            onClick={() => setAjusteOpen(true)}
+            className="px-3 py-1.5 rounded-xl border border-amber-400 text-amber-800 bg-amber-50 hover:bg-amber-100 text-sm"
+          >
+            Ajustar precios
+          </button>
+          {ultimoAjuste && (
+            <button
+              onClick={revertirAjuste}
+              className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+              title={`Ajuste del ${new Date(ultimoAjuste.fecha).toLocaleString(
+                "es-AR",
+                { dateStyle: "short", timeStyle: "short" }
+              )}`}
+            >
+              ↶ Revertir ajuste
+            </button>
+          )}
+          <button
+            onClick={openEtiquetas}
             className="px-3 py-1.5 rounded-xl border border-sky-400 text-sky-700 bg-sky-50 hover:bg-sky-100 text-sm"
           >
             Etiquetas (PDF)
           </button>
+          <button
+            onClick={() => setRevisionOpen(true)}
+            className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+          >
+            Revisar códigos
+          </button>
           <button
             onClick={exportProductos}
             className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
@@ -639,19 +2427,41 @@ function Productos({ data, setData }) {
         </div>
       }
     >
-      <div className="flex items-center gap-3 mb-3">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
         <input
           placeholder="Buscar por código o nombre..."
           className="flex-1 border rounded-xl px-3 py-2"
           value={q}
           onChange={(e) => setQ(e.target.value)}
         />
+        <select
+          className="border rounded-xl px-3 py-2 text-sm"
+          value={categoriaFiltro}
+          onChange={(e) => setCategoriaFiltro(e.target.value)}
+        >
+          <option value="">Todas las categorías</option>
+          {categorias.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+          <option value={SIN_CATEGORIA}>{SIN_CATEGORIA}</option>
+        </select>
+        {categoriaFiltro && (
+          <button
+            onClick={selectCategoria}
+            className="px-3 py-2 rounded-xl border border-sky-400 text-sky-700 bg-sky-50 hover:bg-sky-100 text-sm"
+            title="Selecciona todos los productos de la categoría (por ejemplo, para reimprimir sus etiquetas)"
+          >
+            Seleccionar categoría
+          </button>
+        )}
         <span className="text-sm text-slate-500">
           {results.length} / {data.productos.length}
         </span>
       </div>
       <div className="overflow-auto max-h-[50vh] border rounded-2xl bg-slate-50/40">
-        <table className="w-full text-sm min-w-[900px]">
+        <table className="w-full text-sm min-w-[1550px]">
           <thead className="bg-slate-100 sticky top-0">
             <tr>
               <th className="p-2 text-center w-10">
@@ -663,7 +2473,14 @@ function Productos({ data, setData }) {
               </th>
               <th className="text-left p-2">EAN</th>
               <th className="text-left p-2">Nombre</th>
+              <th className="text-left p-2">Categoría</th>
+              <th className="text-left p-2">Venta / PLU</th>
               <th className="text-right p-2">Precio</th>
+              <th className="text-right p-2">Stock</th>
+              <th className="text-right p-2">Mínimo</th>
+              <th className="text-left p-2">Proveedor</th>
+              <th className="text-right p-2">Costo</th>
+              <th className="text-right p-2">Margen</th>
               <th className="text-right p-2">Precio PedidosYa</th>
               <th className="text-right p-2">Precio Rappi</th>
               <th className="text-right p-2">Acciones</th>
@@ -686,6 +2503,38 @@ function Productos({ data, setData }) {
                     onChange={(v) => updateNombre(p.id, v)}
                   />
                 </td>
+                <td className="p-2">
+                  <InlineCategoria
+                    value={p.categoria}
+                    categorias={categorias}
+                    onChange={(v) => updateOptional(p.id, "categoria", v)}
+                  />
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  <select
+                    className="border rounded-lg px-2 py-1 text-xs bg-white"
+                    value={p.unidad === "kg" ? "kg" : "u"}
+                    onChange={(e) =>
+                      updateOptional(
+                        p.id,
+                        "unidad",
+                        e.target.value === "kg" ? "kg" : null
+                      )
+                    }
+                  >
+                    <option value="u">Unidad</option>
+                    <option value="kg">Por kg</option>
+                  </select>
+                  {p.unidad === "kg" && (
+                    <span className="ml-1 text-xs text-slate-500">
+                      PLU{" "}
+                      <InlineNumber
+                        value={p.plu}
+                        onChange={(v) => updateOptional(p.id, "plu", v)}
+                      />
+                    </span>
+                  )}
+                </td>
                 <td className="p-2 text-right">
                   <InlineMoney
                     value={p.precio}
@@ -693,24 +2542,73 @@ function Productos({ data, setData }) {
                   />
                 </td>
                 <td className="p-2 text-right">
-                  {currency(pedidosYaPrice(p.precio))}
+                  <InlineNumber
+                    value={p.stock}
+                    warnAt={
+                      typeof p.stockMinimo === "number" ? p.stockMinimo : 0
+                    }
+                    onChange={(v) => updateOptional(p.id, "stock", v)}
+                  />
                 </td>
                 <td className="p-2 text-right">
-                  {currency(rappiPrice(p.precio))}
+                  <InlineNumber
+                    value={p.stockMinimo}
+                    onChange={(v) => updateOptional(p.id, "stockMinimo", v)}
+                  />
                 </td>
-                <td className="p-2 text-right">
-                  <button
-                    onClick={() => remove(p.id)}
-                    className="text-red-600 hover:underline text-xs"
+                <td className="p-2">
+                  <select
+                    className="border rounded-lg px-2 py-1 text-xs bg-white max-w-[10rem]"
+                    value={p.proveedor || ""}
+                    onChange={(e) =>
+                      updateOptional(p.id, "proveedor", e.target.value || null)
+                    }
                   >
-                    Eliminar
-                  </button>
+                    <option value="">(sin proveedor)</option>
+                    {proveedores.map((prov) => (
+                      <option key={prov} value={prov}>
+                        {prov}
+                      </option>
+                    ))}
+                    {p.proveedor && !proveedores.includes(p.proveedor) && (
+                      <option value={p.proveedor}>{p.proveedor}</option>
+                    )}
+                  </select>
+                </td>
+                <td className="p-2 text-right">
+                  <InlineMoney
+                    value={p.costo || 0}
+                    onChange={(v) => updateOptional(p.id, "costo", v || null)}
+                  />
+                </td>
+                <td className="p-2 text-right">
+                  <MarginBadge pct={marginPct(p.precio, p.costo)} />
+                </td>
+                <td className="p-2 text-right">
+                  {currency(pedidosYaPrice(p.precio))}
+                </td>
+                <td className="p-2 text-right">
+                  {currency(rappiPrice(p.precio))}
+                </td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setHistorialId(p.id)}
+                    className="text-sky-700 hover:underline text-xs mr-3"
+                  >
+                    Historial
+                  </button>
+                  <button
+                    onClick={() => remove(p.id)}
+                    className="text-red-600 hover:underline text-xs"
+                  >
+                    Eliminar
+                  </button>
                 </td>
               </tr>
             ))}
             {!results.length && (
               <tr>
-                <td colSpan={7} className="p-6 text-center text-slate-500">
+                <td colSpan={14} className="p-6 text-center text-slate-500">
                   Sin resultados
                 </td>
               </tr>
@@ -718,10 +2616,634 @@ function Productos({ data, setData }) {
           </tbody>
         </table>
       </div>
+
+      {ajusteOpen && (
+        <AjustePreciosModal
+          productos={data.productos}
+          proveedores={proveedores}
+          categorias={categorias}
+          selectedIds={selectedIds}
+          results={q.trim() ? results : []}
+          onApply={aplicarAjuste}
+          onClose={() => setAjusteOpen(false)}
+        />
+      )}
+
+      {etiquetasOpen && (
+        <EtiquetasModal
+          count={selectedIds.length}
+          initial={(data.settings || {}).etiquetas}
+          onPrint={generateLabels}
+          onClose={() => setEtiquetasOpen(false)}
+        />
+      )}
+
+      {revisionOpen && (
+        <RevisionEANModal
+          productos={data.productos}
+          onNormalize={normalizarEANs}
+          onClose={() => setRevisionOpen(false)}
+        />
+      )}
+
+      {historialProd && (
+        <HistorialPreciosDrawer
+          producto={historialProd}
+          onClose={() => setHistorialId(null)}
+        />
+      )}
     </Section>
   );
 }
 
+function AjustePreciosModal({
+  productos,
+  proveedores,
+  categorias,
+  selectedIds,
+  results,
+  onApply,
+  onClose,
+}) {
+  const [alcance, setAlcance] = useState(
+    selectedIds.length
+      ? "seleccion"
+      : results.length
+      ? "busqueda"
+      : proveedores.length
+      ? "proveedor"
+      : "categoria"
+  );
+  const [proveedor, setProveedor] = useState(proveedores[0] || "");
+  const [categoria, setCategoria] = useState(categorias[0] || "");
+  const [modo, setModo] = useState("porcentaje");
+  const [valor, setValor] = useState("");
+  const [redondeo, setRedondeo] = useState(0);
+
+  const objetivo = useMemo(() => {
+    if (alcance === "seleccion")
+      return productos.filter((p) => selectedIds.includes(p.id));
+    if (alcance === "busqueda") return results;
+    // Sin categoría/proveedor elegido no se toca nada (evita ajustar todos
+    // los productos que no tienen ese dato cargado)
+    if (alcance === "categoria")
+      return categoria
+        ? productos.filter((p) => (p.categoria || "") === categoria)
+        : [];
+    if (!proveedor) return [];
+    return productos.filter((p) => (p.proveedor || "") === proveedor);
+  }, [alcance, proveedor, categoria, productos, selectedIds, results]);
+
+  const cambios = useMemo(() => {
+    // El porcentaje admite decimales ("7,5" o "7.5"); el monto fijo es dinero
+    const n =
+      modo === "porcentaje"
+        ? parseFloat(String(valor).replace(",", ".")) || 0
+        : parseMoneyInput(valor);
+    if (!n) return [];
+    return (
+      objetivo
+        // Los productos con precio 0 se cobran con precio manual: no se tocan
+        .filter((p) => Number(p.precio) > 0)
+        .map((p) => {
+          const antes = Number(p.precio);
+          const bruto = modo === "porcentaje" ? antes * (1 + n / 100) : antes + n;
+          const despues = Math.max(0, roundPrice(bruto, redondeo));
+          return { id: p.id, ean: p.ean, nombre: p.nombre, antes, despues };
+        })
+        .filter((c) => c.despues !== c.antes)
+    );
+  }, [objetivo, valor, modo, redondeo]);
+
+  const aplicar = () => {
+    if (!cambios.length) {
+      alert("No hay precios para modificar con estos parámetros.");
+      return;
+    }
+    if (!confirm(`¿Aplicar el nuevo precio a ${cambios.length} producto(s)?`))
+      return;
+    onApply(cambios);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-5">
+        <h3 className="text-lg font-semibold mb-3">Ajuste masivo de precios</h3>
+
+        <div className="grid md:grid-cols-2 gap-3 mb-3 text-sm">
+          <div className="flex flex-col gap-1">
+            <label className="text-slate-700">Aplicar a</label>
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={alcance}
+              onChange={(e) => setAlcance(e.target.value)}
+            >
+              <option value="seleccion" disabled={!selectedIds.length}>
+                Seleccionados ({selectedIds.length})
+              </option>
+              <option value="busqueda" disabled={!results.length}>
+                Resultados de búsqueda ({results.length})
+              </option>
+              <option value="categoria" disabled={!categorias.length}>
+                Categoría
+              </option>
+              <option value="proveedor" disabled={!proveedores.length}>
+                Proveedor
+              </option>
+            </select>
+            {alcance === "categoria" && (
+              <select
+                className="border rounded-xl px-3 py-2"
+                value={categoria}
+                onChange={(e) => setCategoria(e.target.value)}
+              >
+                {categorias.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            )}
+            {alcance === "proveedor" && (
+              <select
+                className="border rounded-xl px-3 py-2"
+                value={proveedor}
+                onChange={(e) => setProveedor(e.target.value)}
+              >
+                {proveedores.map((prov) => (
+                  <option key={prov} value={prov}>
+                    {prov}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-1">
+            <label className="text-slate-700">Ajuste</label>
+            <div className="flex gap-2">
+              <select
+                className="border rounded-xl px-3 py-2"
+                value={modo}
+                onChange={(e) => setModo(e.target.value)}
+              >
+                <option value="porcentaje">%</option>
+                <option value="monto">$ fijo</option>
+              </select>
+              <input
+                autoFocus
+                className="flex-1 border rounded-xl px-3 py-2 text-right"
+                placeholder={modo === "porcentaje" ? "Ej: 7,5 o -5" : "Ej: 150 o -100"}
+                value={valor}
+                onChange={(e) => setValor(e.target.value)}
+              />
+            </div>
+            <label className="text-slate-700 mt-1">Redondeo</label>
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={redondeo}
+              onChange={(e) => setRedondeo(Number(e.target.value))}
+            >
+              <option value={0}>Sin redondeo</option>
+              <option value={10}>Al $10 más cercano</option>
+              <option value={50}>Al $50 más cercano</option>
+              <option value={100}>Al $100 más cercano</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="text-xs text-slate-500 mb-1">
+          Vista previa: {cambios.length} de {objetivo.length} producto(s)
+          cambian de precio. Los productos con precio 0 no se modifican.
+        </div>
+        <div className="overflow-auto max-h-[40vh] border rounded-2xl bg-slate-50/40 mb-4">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="text-left p-2">EAN</th>
+                <th className="text-left p-2">Nombre</th>
+                <th className="text-right p-2">Actual</th>
+                <th className="text-right p-2">Nuevo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cambios.map((c) => (
+                <tr key={c.id} className="odd:bg-white even:bg-slate-50">
+                  <td className="p-2 font-mono">{c.ean}</td>
+                  <td className="p-2">{c.nombre}</td>
+                  <td className="p-2 text-right text-slate-500">
+                    {currency(c.antes)}
+                  </td>
+                  <td
+                    className={
+                      "p-2 text-right font-semibold " +
+                      (c.despues > c.antes ? "text-red-600" : "text-emerald-700")
+                    }
+                  >
+                    {currency(c.despues)}
+                  </td>
+                </tr>
+              ))}
+              {!cambios.length && (
+                <tr>
+                  <td colSpan={4} className="p-6 text-center text-slate-500">
+                    Ingresa un ajuste para ver la vista previa
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={aplicar}
+            disabled={!cambios.length}
+            className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700 disabled:opacity-50"
+          >
+            Aplicar ajuste
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function EtiquetasModal({ count, initial, onPrint, onClose }) {
+  const [opts, setOpts] = useState({ ...DEFAULT_LABEL_OPTS, ...(initial || {}) });
+  const set = (field, value) => setOpts((o) => ({ ...o, [field]: value }));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-5">
+        <h3 className="text-lg font-semibold mb-1">Etiquetas de precios</h3>
+        <p className="text-sm text-slate-600 mb-3">
+          {count} producto(s) seleccionados. El código de barras se genera como
+          EAN-13 / EAN-8 si el código es válido, o Code128 en otro caso.
+        </p>
+
+        <div className="space-y-3 text-sm mb-4">
+          <div className="flex flex-col gap-1">
+            <label className="text-slate-700">Plantilla</label>
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={opts.plantilla}
+              onChange={(e) => set("plantilla", e.target.value)}
+            >
+              {Object.entries(LABEL_TEMPLATES).map(([id, t]) => (
+                <option key={id} value={id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {opts.plantilla === "a4" && (
+            <div className="grid grid-cols-2 gap-2">
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-700">Columnas</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={10}
+                  className="border rounded-xl px-3 py-2"
+                  value={opts.columnas}
+                  onChange={(e) =>
+                    set("columnas", parseInt(e.target.value || "1", 10))
+                  }
+                />
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-slate-700">Filas</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={20}
+                  className="border rounded-xl px-3 py-2"
+                  value={opts.filas}
+                  onChange={(e) =>
+                    set("filas", parseInt(e.target.value || "1", 10))
+                  }
+                />
+              </div>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={opts.mostrarApps}
+              onChange={(e) => set("mostrarApps", e.target.checked)}
+            />
+            Mostrar precios PedidosYa / Rappi
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={opts.oferta}
+              onChange={(e) => set("oferta", e.target.checked)}
+            />
+            Estilo "oferta"
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={() => onPrint(opts)}
+            className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+          >
+            Imprimir
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RevisionEANModal({ productos, onNormalize, onClose }) {
+  const revision = useMemo(() => {
+    const invalidos = [];
+    const grupos = new Map();
+    for (const p of productos) {
+      const motivo = eanIssue(p.ean);
+      if (motivo) invalidos.push({ ...p, motivo });
+      const key = normalizeEAN(p.ean).toLowerCase();
+      if (!grupos.has(key)) grupos.set(key, []);
+      grupos.get(key).push(p);
+    }
+    const duplicados = Array.from(grupos.values()).filter((g) => g.length > 1);
+    // Solo se normalizan los que no chocan con otro producto
+    const normalizables = productos
+      .filter((p) => normalizeEAN(p.ean) !== String(p.ean).trim())
+      .filter((p) => grupos.get(normalizeEAN(p.ean).toLowerCase()).length === 1)
+      .map((p) => ({
+        id: p.id,
+        nombre: p.nombre,
+        antes: p.ean,
+        despues: normalizeEAN(p.ean),
+      }));
+    return { invalidos, duplicados, normalizables };
+  }, [productos]);
+
+  const { invalidos, duplicados, normalizables } = revision;
+  const sinProblemas =
+    !invalidos.length && !duplicados.length && !normalizables.length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-5 max-h-[90vh] overflow-auto">
+        <h3 className="text-lg font-semibold mb-1">Revisión de códigos</h3>
+        <p className="text-sm text-slate-600 mb-4">
+          Se revisan {productos.length} productos: dígito verificador GS1,
+          duplicados por ceros iniciales (UPC-A / EAN-13) y códigos sin
+          normalizar.
+        </p>
+
+        {sinProblemas && (
+          <p className="text-sm text-emerald-700 mb-4">
+            No se encontraron códigos sospechosos ✅
+          </p>
+        )}
+
+        {invalidos.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-1">
+              Dígito verificador inválido ({invalidos.length})
+            </h4>
+            <div className="border rounded-xl overflow-auto max-h-48 bg-slate-50/40">
+              <table className="w-full text-xs">
+                <tbody>
+                  {invalidos.map((p) => (
+                    <tr key={p.id} className="odd:bg-white even:bg-slate-50">
+                      <td className="p-1.5 font-mono">{p.ean}</td>
+                      <td className="p-1.5">{p.nombre}</td>
+                      <td className="p-1.5 text-red-600">{p.motivo}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {duplicados.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-1">
+              Posibles duplicados ({duplicados.length})
+            </h4>
+            <div className="border rounded-xl overflow-auto max-h-48 bg-slate-50/40">
+              <table className="w-full text-xs">
+                <tbody>
+                  {duplicados.map((g) => (
+                    <tr key={g[0].id} className="odd:bg-white even:bg-slate-50">
+                      <td className="p-1.5">
+                        {g.map((p) => (
+                          <div key={p.id}>
+                            <span className="font-mono">{p.ean}</span> –{" "}
+                            {p.nombre}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              Elimina o corrige manualmente el producto que sobra.
+            </p>
+          </div>
+        )}
+
+        {normalizables.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-1">
+              Códigos a normalizar ({normalizables.length})
+            </h4>
+            <div className="border rounded-xl overflow-auto max-h-48 bg-slate-50/40">
+              <table className="w-full text-xs">
+                <tbody>
+                  {normalizables.map((c) => (
+                    <tr key={c.id} className="odd:bg-white even:bg-slate-50">
+                      <td className="p-1.5">{c.nombre}</td>
+                      <td className="p-1.5 font-mono text-slate-500">
+                        {c.antes}
+                      </td>
+                      <td className="p-1.5 font-mono">→ {c.despues}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cerrar
+          </button>
+          {normalizables.length > 0 && (
+            <button
+              onClick={() => onNormalize(normalizables)}
+              className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+            >
+              Normalizar {normalizables.length} código(s)
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function HistorialPreciosDrawer({ producto, onClose }) {
+  const historial = producto.historialPrecios || [];
+
+  // Serie cronológica: precio inicial + cada precio nuevo
+  const puntos = useMemo(() => {
+    const asc = [...(producto.historialPrecios || [])].reverse();
+    if (!asc.length) return [];
+    return [
+      { t: new Date(asc[0].fecha).getTime(), v: asc[0].antes },
+      ...asc.map((h) => ({ t: new Date(h.fecha).getTime(), v: h.despues })),
+      { t: Date.now(), v: Number(producto.precio) || 0 },
+    ];
+  }, [producto.historialPrecios, producto.precio]);
+
+  const W = 320;
+  const H = 100;
+  const PAD = 8;
+  let path = "";
+  let dots = [];
+  if (puntos.length > 1) {
+    const t0 = puntos[0].t;
+    const t1 = puntos[puntos.length - 1].t;
+    const vals = puntos.map((p) => p.v);
+    const vMin = Math.min(...vals);
+    const vMax = Math.max(...vals);
+    const x = (t) => PAD + ((t - t0) / (t1 - t0 || 1)) * (W - 2 * PAD);
+    const y = (v) => H - PAD - ((v - vMin) / (vMax - vMin || 1)) * (H - 2 * PAD);
+    // Escalonado: el precio se mantiene hasta el siguiente cambio
+    path = puntos
+      .map((p, i) =>
+        i === 0
+          ? `M${x(p.t)},${y(p.v)}`
+          : `H${x(p.t)} V${y(p.v)}`
+      )
+      .join(" ");
+    dots = puntos.slice(0, -1).map((p) => ({ cx: x(p.t), cy: y(p.v) }));
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <aside
+        className="bg-white w-full max-w-md h-full shadow-xl p-5 overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3 mb-3">
+          <div>
+            <h3 className="text-lg font-semibold">Historial de precios</h3>
+            <p className="text-sm text-slate-600">{producto.nombre}</p>
+            <p className="text-xs text-slate-400 font-mono">EAN {producto.ean}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 rounded-lg border text-sm hover:bg-slate-50"
+          >
+            Cerrar
+          </button>
+        </div>
+
+        <div className="text-sm mb-3">
+          Precio actual:{" "}
+          <span className="font-semibold">{currency(producto.precio)}</span>
+        </div>
+
+        {puntos.length > 1 && (
+          <svg
+            viewBox={`0 0 ${W} ${H}`}
+            className="w-full h-28 border rounded-xl bg-slate-50 mb-4"
+          >
+            <path d={path} fill="none" stroke="#0284c7" strokeWidth="2" />
+            {dots.map((d, i) => (
+              <circle key={i} cx={d.cx} cy={d.cy} r="3" fill="#0284c7" />
+            ))}
+          </svg>
+        )}
+
+        <div className="border rounded-xl overflow-auto bg-slate-50/40">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="text-left p-1.5">Fecha</th>
+                <th className="text-left p-1.5">Origen</th>
+                <th className="text-right p-1.5">Antes</th>
+                <th className="text-right p-1.5">Después</th>
+              </tr>
+            </thead>
+            <tbody>
+              {historial.map((h, i) => (
+                <tr key={i} className="odd:bg-white even:bg-slate-50">
+                  <td className="p-1.5">
+                    {new Date(h.fecha).toLocaleString("es-AR", {
+                      dateStyle: "short",
+                      timeStyle: "short",
+                    })}
+                  </td>
+                  <td className="p-1.5">
+                    {PRICE_ORIGEN_LABELS[h.origen] || h.origen}
+                  </td>
+                  <td className="p-1.5 text-right text-slate-500">
+                    {currency(h.antes)}
+                  </td>
+                  <td className="p-1.5 text-right font-semibold">
+                    {currency(h.despues)}
+                    {h.antes > 0 && (
+                      <span
+                        className={
+                          "ml-1 font-normal " +
+                          (h.despues > h.antes
+                            ? "text-red-600"
+                            : "text-emerald-700")
+                        }
+                      >
+                        ({h.despues > h.antes ? "+" : ""}
+                        {(((h.despues - h.antes) / h.antes) * 100).toFixed(1)}%)
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {!historial.length && (
+                <tr>
+                  <td colSpan={4} className="p-4 text-center text-slate-400">
+                    Sin cambios de precio registrados
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
 function escapeHtml(str) {
   return String(str)
     .replace(/&/g, "&amp;")
@@ -766,26 +3288,44 @@ function InlineMoney({ value, onChange }) {
   );
 }
 
-function InlineText({ value, onChange }) {
+function MarginBadge({ pct }) {
+  if (pct === null) return <span className="text-slate-400">—</span>;
+  return (
+    <span
+      className={
+        "font-medium " +
+        (pct < 0
+          ? "text-red-600"
+          : pct < 15
+          ? "text-amber-600"
+          : "text-emerald-700")
+      }
+    >
+      {pct.toFixed(1)} %
+    </span>
+  );
+}
+
+// Categoría: texto libre con sugerencias; vacío = sin categoría
+function InlineCategoria({ value, categorias, onChange }) {
   const [editing, setEditing] = useState(false);
-  const [val, setVal] = useState(String(value || ""));
-  useEffect(() => setVal(String(value || "")), [value]);
+  const [val, setVal] = useState(value || "");
+  useEffect(() => setVal(value || ""), [value]);
   const commit = () => {
     const trimmed = val.trim();
-    if (!trimmed) {
-      alert("El nombre no puede estar vacío.");
-      return;
-    }
-    onChange(trimmed);
+    onChange(trimmed || null);
     setEditing(false);
   };
   if (!editing) {
     return (
       <button
         onClick={() => setEditing(true)}
-        className="px-2 py-1 rounded-lg hover:bg-slate-100 text-left w-full"
+        className={
+          "px-2 py-1 rounded-lg hover:bg-slate-100 text-left w-full text-xs " +
+          (value ? "text-slate-700" : "text-slate-400")
+        }
       >
-        {value || "(sin nombre)"}
+        {value || "—"}
       </button>
     );
   }
@@ -793,11 +3333,17 @@ function InlineText({ value, onChange }) {
     <span className="inline-flex items-center gap-2 w-full">
       <input
         autoFocus
-        className="flex-1 border rounded-lg px-2 py-1"
+        className="flex-1 border rounded-lg px-2 py-1 text-xs min-w-[7rem]"
+        list="categorias-list"
         value={val}
         onChange={(e) => setVal(e.target.value)}
         onKeyDown={(e) => e.key === "Enter" && commit()}
       />
+      <datalist id="categorias-list">
+        {categorias.map((c) => (
+          <option key={c} value={c} />
+        ))}
+      </datalist>
       <button
         onClick={commit}
         className="text-sky-600 hover:underline text-xs"
@@ -808,29 +3354,762 @@ function InlineText({ value, onChange }) {
   );
 }
 
-// ---- Importar / Exportar ----
-function ImportExport({ data, setData }) {
-  const fileRef = useRef(null);
-
-  const handleImport = async (file) => {
-    const text = await file.text();
-    try {
-      const rows = parseCSV(text);
-      if (!rows.length) return alert("No se detectaron filas válidas.");
-      setData((s) => {
-        const byEAN = new Map(s.productos.map((p) => [p.ean, p]));
-        rows.forEach((r) => {
-          const ex = byEAN.get(r.ean);
-          if (ex) {
-            ex.nombre = r.nombre || ex.nombre;
-            ex.precio = r.precio;
-          } else {
-            byEAN.set(r.ean, { ...r, id: uid() });
-          }
-        });
-        return { ...s, productos: Array.from(byEAN.values()) };
-      });
-      alert(`Importados ${rows.length} productos.`);
+// Número opcional: vacío = sin valor (p.ej. producto sin control de stock).
+// warnAt resalta en rojo los valores iguales o menores.
+function InlineNumber({ value, onChange, warnAt }) {
+  const tracked = typeof value === "number";
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(tracked ? String(value) : "");
+  useEffect(() => setVal(tracked ? String(value) : ""), [value, tracked]);
+  const commit = () => {
+    const trimmed = val.trim();
+    if (!trimmed) {
+      onChange(null);
+      setEditing(false);
+      return;
+    }
+    const num = parseFloat(trimmed.replace(",", "."));
+    if (!isFinite(num)) return alert("Stock inválido");
+    onChange(+num);
+    setEditing(false);
+  };
+  if (!editing) {
+    return (
+      <button
+        onClick={() => setEditing(true)}
+        className={
+          "px-2 py-1 rounded-lg hover:bg-slate-100 font-medium " +
+          (!tracked
+            ? "text-slate-400"
+            : warnAt != null && value <= warnAt
+            ? "text-red-600"
+            : "text-slate-900")
+        }
+        title={tracked ? "" : "Sin valor cargado"}
+      >
+        {tracked ? value : "—"}
+      </button>
+    );
+  }
+  return (
+    <span className="inline-flex items-center gap-2">
+      <input
+        autoFocus
+        className="w-20 border rounded-lg px-2 py-1 text-right"
+        placeholder="—"
+        value={val}
+        onChange={(e) => setVal(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && commit()}
+      />
+      <button onClick={commit} className="text-sky-600 hover:underline">
+        Guardar
+      </button>
+    </span>
+  );
+}
+
+function InlineText({ value, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(String(value || ""));
+  useEffect(() => setVal(String(value || "")), [value]);
+  const commit = () => {
+    const trimmed = val.trim();
+    if (!trimmed) {
+      alert("El nombre no puede estar vacío.");
+      return;
+    }
+    onChange(trimmed);
+    setEditing(false);
+  };
+  if (!editing) {
+    return (
+      <button
+        onClick={() => setEditing(true)}
+        className="px-2 py-1 rounded-lg hover:bg-slate-100 text-left w-full"
+      >
+        {value || "(sin nombre)"}
+      </button>
+    );
+  }
+  return (
+    <span className="inline-flex items-center gap-2 w-full">
+      <input
+        autoFocus
+        className="flex-1 border rounded-lg px-2 py-1"
+        value={val}
+        onChange={(e) => setVal(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && commit()}
+      />
+      <button
+        onClick={commit}
+        className="text-sky-600 hover:underline text-xs"
+      >
+        Guardar
+      </button>
+    </span>
+  );
+}
+
+// ---- Reponer ----
+function Reponer({ data }) {
+  const grupos = useMemo(() => {
+    const map = new Map();
+    for (const p of data.productos || []) {
+      if (!needsRestock(p)) continue;
+      const proveedor = (p.proveedor || "").trim() || "(Sin proveedor)";
+      if (!map.has(proveedor)) map.set(proveedor, []);
+      map.get(proveedor).push({
+        ...p,
+        faltante: p.stockMinimo - p.stock,
+      });
+    }
+    return Array.from(map.entries())
+      .map(([proveedor, items]) => ({
+        proveedor,
+        items: items.sort((a, b) => a.nombre.localeCompare(b.nombre)),
+      }))
+      .sort((a, b) => {
+        // "(Sin proveedor)" siempre al final
+        if (a.proveedor === "(Sin proveedor)") return 1;
+        if (b.proveedor === "(Sin proveedor)") return -1;
+        return a.proveedor.localeCompare(b.proveedor);
+      });
+  }, [data.productos]);
+
+  const totalItems = grupos.reduce((a, g) => a + g.items.length, 0);
+
+  const exportCSV = () => {
+    if (!totalItems) {
+      alert("No hay productos para reponer.");
+      return;
+    }
+    const bom = "\uFEFF";
+    const sep = ";";
+    const q = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const rows = [
+      ["Proveedor", "EAN", "Producto", "Stock", "Mínimo", "Faltante"].join(
+        sep
+      ),
+      ...grupos.flatMap((g) =>
+        g.items.map((p) =>
+          [
+            q(g.proveedor),
+            q(p.ean),
+            q(p.nombre),
+            p.stock,
+            p.stockMinimo,
+            p.faltante,
+          ].join(sep)
+        )
+      ),
+    ];
+    download(
+      `reponer-${new Date().toISOString().slice(0, 10)}.csv`,
+      bom + rows.join("\n")
+    );
+  };
+
+  const imprimir = () => {
+    if (!totalItems) {
+      alert("No hay productos para reponer.");
+      return;
+    }
+
+    const w = window.open("", "_blank");
+    if (!w) {
+      alert(
+        "No se pudo abrir la ventana de impresión. Revisa el bloqueador de ventanas emergentes."
+      );
+      return;
+    }
+
+    const gruposHtml = grupos
+      .map((g) => {
+        const rowsHtml = g.items
+          .map(
+            (p) => `
+              <tr>
+                <td>${escapeHtml(p.ean)}</td>
+                <td>${escapeHtml(p.nombre)}</td>
+                <td style="text-align:right;">${p.stock}</td>
+                <td style="text-align:right;">${p.stockMinimo}</td>
+                <td style="text-align:right;">${p.faltante}</td>
+              </tr>
+            `
+          )
+          .join("");
+        return `
+          <div class="section-title">${escapeHtml(g.proveedor)}</div>
+          <table>
+            <thead>
+              <tr>
+                <th>EAN</th>
+                <th>Producto</th>
+                <th style="text-align:right;">Stock</th>
+                <th style="text-align:right;">Mínimo</th>
+                <th style="text-align:right;">Faltante</th>
+              </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+        `;
+      })
+      .join("");
+
+    const fechaStr = new Date().toLocaleDateString("es-AR");
+
+    const html = `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="utf-8" />
+        <title>Lista para reponer</title>
+        <style>
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: 16px 24px;
+            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+            font-size: 12px;
+          }
+          h1 { font-size: 20px; margin: 0 0 4px 0; }
+          .range { font-size: 13px; color: #4b5563; margin: 2px 0 16px 0; }
+          table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+          th, td { border: 1px solid #e5e7eb; padding: 4px 6px; }
+          th { background: #f3f4f6; font-size: 11px; text-align: left; }
+          .section-title { font-size: 13px; font-weight: 600; margin-top: 16px; }
+          @page { margin: 12mm; }
+        </style>
+      </head>
+      <body onload="window.print()">
+        <h1>Lista para reponer</h1>
+        <div class="range">Fecha: ${fechaStr} · ${totalItems} producto(s)</div>
+        ${gruposHtml}
+      </body>
+      </html>
+    `;
+
+    w.document.open();
+    w.document.write(html);
+    w.document.close();
+  };
+
+  return (
+    <Section
+      title="Reponer"
+      desc="Productos con stock en o por debajo del mínimo, agrupados por proveedor. Configura stock, mínimo y proveedor desde Productos."
+      right={
+        <div className="flex flex-wrap gap-2 justify-end">
+          <button
+            onClick={exportCSV}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Exportar CSV
+          </button>
+          <button
+            onClick={imprimir}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Imprimir / PDF
+          </button>
+        </div>
+      }
+    >
+      {!grupos.length ? (
+        <p className="text-sm text-slate-500">
+          No hay productos por debajo del stock mínimo.
+        </p>
+      ) : (
+        <div className="space-y-4 max-h-[60vh] overflow-auto pr-1">
+          {grupos.map((g) => (
+            <div key={g.proveedor}>
+              <h3 className="text-sm font-semibold text-slate-700 mb-1">
+                {g.proveedor}{" "}
+                <span className="font-normal text-slate-500">
+                  ({g.items.length})
+                </span>
+              </h3>
+              <div className="border rounded-2xl bg-slate-50/40 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-100">
+                    <tr>
+                      <th className="text-left p-2">EAN</th>
+                      <th className="text-left p-2">Producto</th>
+                      <th className="text-right p-2">Stock</th>
+                      <th className="text-right p-2">Mínimo</th>
+                      <th className="text-right p-2">Faltante</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {g.items.map((p) => (
+                      <tr key={p.id} className="odd:bg-white even:bg-slate-50">
+                        <td className="p-2 font-mono">{p.ean}</td>
+                        <td className="p-2">{p.nombre}</td>
+                        <td className="p-2 text-right text-red-600 font-medium">
+                          {p.stock}
+                        </td>
+                        <td className="p-2 text-right">{p.stockMinimo}</td>
+                        <td className="p-2 text-right font-semibold">
+                          {p.faltante}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Section>
+  );
+}
+
+// ---- Configuración ----
+function Configuracion({ data, setData }) {
+  const settings = data.settings || {};
+  const formatos = settings.balanza || DEFAULT_BALANZA;
+  const [prueba, setPrueba] = useState("");
+
+  const updateSettings = (patch) => {
+    setData((s) => ({
+      ...s,
+      settings: { ...(s.settings || {}), ...patch },
+    }));
+  };
+
+  const updateFormato = (id, field, value) => {
+    updateSettings({
+      balanza: formatos.map((f) => (f.id === id ? { ...f, [field]: value } : f)),
+    });
+  };
+
+  const agregarFormato = () => {
+    updateSettings({
+      balanza: [
+        ...formatos,
+        { id: uid(), prefijos: "", formato: "FFPPPPP$$$$$C", decimales: 0 },
+      ],
+    });
+  };
+
+  const quitarFormato = (id) => {
+    if (!confirm("¿Quitar este formato de etiqueta?")) return;
+    updateSettings({ balanza: formatos.filter((f) => f.id !== id) });
+  };
+
+  const comercio = settings.comercio || {};
+  const ticket = settings.ticket || {};
+  const updateComercio = (field, value) =>
+    updateSettings({ comercio: { ...comercio, [field]: value } });
+
+  const fiados = fiadosCfg(settings);
+  const updatePrecios = (patch) =>
+    updateSettings({ fiados: { ...fiados, precios: { ...fiados.precios, ...patch } } });
+
+  // Al pasar a "congelar" se ofrece congelar lo ya fiado (clientes sin política propia)
+  const [migracion, setMigracion] = useState(null); // { politica, cantidad }
+  const cambiarModoPrecios = (modo) => {
+    const anterior = fiados.precios;
+    updatePrecios({ modo });
+    if (modo !== "congelar" || anterior.modo === "congelar") return;
+    const cantidad = (data.fiados || [])
+      .filter((p) => !p.politicaPrecios)
+      .reduce((a, p) => a + itemsSinCongelar(p, data.productos), 0);
+    if (cantidad) setMigracion({ politica: anterior, cantidad });
+  };
+  const migrarPrecios = (criterio) => {
+    const { politica } = migracion;
+    setData((s) => ({
+      ...s,
+      fiados: (s.fiados || []).map((p) =>
+        p.politicaPrecios
+          ? p
+          : congelarPreciosFiado(p, s.productos, politica, criterio)
+      ),
+    }));
+    setMigracion(null);
+  };
+  const impresora = impresoraCfg(settings);
+  const updateImpresora = (field, value) =>
+    updateSettings({ impresora: { ...impresora, [field]: value } });
+
+  const probarImpresora = async () => {
+    const bytes = createEscPos({ columnas: escposColumnas(settings) })
+      .init()
+      .align("center")
+      .bold(true)
+      .line(comercio.nombre || "Prueba de impresión")
+      .bold(false)
+      .line("Acentos: áéíóú ñ Ñ ¿? ¡!")
+      .separador()
+      .row("Izquierda", "Derecha")
+      .feed(1)
+      .barcode("7790001000009", { alto: 50 })
+      .cut()
+      .bytes();
+    const r = await enviarEscPos(bytes, "prueba-impresora", settings);
+    alert(r.ok ? "Prueba enviada." : `No se pudo imprimir: ${r.error}`);
+  };
+
+  const resultadoPrueba = useMemo(() => {
+    const code = prueba.trim();
+    if (!code) return null;
+    const dec = decodeScaleBarcode(code, formatos);
+    if (!dec) return { error: "No coincide con ningún formato configurado." };
+    const prod = findByPLU(data.productos, dec.plu);
+    return { ...dec, prod };
+  }, [prueba, formatos, data.productos]);
+
+  return (
+    <Section
+      title="Configuración"
+      desc="Ajustes generales del comercio."
+    >
+      <h3 className="text-sm font-semibold text-slate-700 mb-2">
+        Datos del comercio (encabezado del ticket)
+      </h3>
+      <div className="grid md:grid-cols-3 gap-3 mb-3 text-sm">
+        {[
+          ["nombre", "Nombre del comercio"],
+          ["direccion", "Dirección"],
+          ["telefono", "Teléfono"],
+          ["cuit", "CUIT"],
+          ["pie", "Pie del ticket (ej: ¡Gracias por su compra!)"],
+        ].map(([field, label]) => (
+          <input
+            key={field}
+            className={
+              "border rounded-xl px-3 py-2 " + (field === "pie" ? "md:col-span-2" : "")
+            }
+            placeholder={label}
+            value={comercio[field] || ""}
+            onChange={(e) => updateComercio(field, e.target.value)}
+          />
+        ))}
+      </div>
+      <div className="flex items-center gap-3 text-sm mb-6">
+        <label className="text-slate-700">Papel del ticket</label>
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={ticket.ancho === "58" ? "58" : "80"}
+          onChange={(e) =>
+            updateSettings({ ticket: { ...ticket, ancho: e.target.value } })
+          }
+        >
+          <option value="80">80 mm</option>
+          <option value="58">58 mm</option>
+        </select>
+      </div>
+
+      <h3 className="text-sm font-semibold text-slate-700 mb-2">
+        Impresora térmica (ESC/POS)
+      </h3>
+      <div className="flex flex-wrap items-center gap-3 text-sm mb-2">
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={impresora.salida}
+          onChange={(e) => updateImpresora("salida", e.target.value)}
+        >
+          <option value="navegador">Ventana de impresión del navegador</option>
+          <option value="descarga">Descargar archivo ESC/POS (.bin)</option>
+          <option value="puente">Enviar a puente de impresión local</option>
+        </select>
+        {impresora.salida === "puente" && (
+          <>
+            <input
+              className="border rounded-xl px-3 py-2 w-72"
+              placeholder={DEFAULT_IMPRESORA.puenteUrl}
+              value={impresora.puenteUrl}
+              onChange={(e) => updateImpresora("puenteUrl", e.target.value)}
+            />
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={!!impresora.abrirCajon}
+                onChange={(e) => updateImpresora("abrirCajon", e.target.checked)}
+              />
+              Abrir cajón en ventas con efectivo
+            </label>
+          </>
+        )}
+        {impresora.salida !== "navegador" && (
+          <button
+            onClick={probarImpresora}
+            className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+          >
+            Imprimir prueba
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-slate-500 mb-6">
+        El ticket de venta, el cierre diario y el estado de cuenta de fiados se
+        generan como comandos ESC/POS (página de códigos CP850). El puente recibe
+        los bytes por POST (application/octet-stream) y los reenvía a la impresora.
+      </p>
+
+      <h3 className="text-sm font-semibold text-slate-700 mb-2">Fiados</h3>
+      <div className="flex flex-wrap items-center gap-3 text-sm mb-3">
+        <label className="text-slate-700">Precio de los artículos fiados</label>
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={fiados.precios.modo}
+          onChange={(e) => cambiarModoPrecios(e.target.value)}
+        >
+          {Object.entries(POLITICAS_PRECIO).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {fiados.precios.modo === "dias" && (
+          <label className="flex items-center gap-2">
+            N =
+            <input
+              type="number"
+              min="1"
+              className="border rounded-xl px-3 py-2 w-20"
+              value={fiados.precios.dias}
+              onChange={(e) =>
+                updatePrecios({ dias: Math.max(1, parseInt(e.target.value, 10) || 1) })
+              }
+            />
+            días
+          </label>
+        )}
+        <span className="text-xs text-slate-500">
+          Cada cliente puede tener su propia política (Fiados → Editar).
+        </span>
+      </div>
+      <div className="flex items-center gap-3 text-sm mb-6">
+        <label className="text-slate-700">
+          Si una venta fiada supera el límite de crédito del cliente
+        </label>
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={fiados.limite}
+          onChange={(e) =>
+            updateSettings({ fiados: { ...fiados, limite: e.target.value } })
+          }
+        >
+          <option value="avisar">Avisar y permitir registrarla</option>
+          <option value="bloquear">No permitir registrarla</option>
+        </select>
+      </div>
+      {migracion && (
+        <CongelarPreciosModal
+          alcance="clientes sin política propia"
+          cantidad={migracion.cantidad}
+          onOk={migrarPrecios}
+          onCancel={() => setMigracion(null)}
+        />
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-slate-700">
+          Etiquetas de balanza (peso o precio variable)
+        </h3>
+        <button
+          onClick={agregarFormato}
+          className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+        >
+          + Formato
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Formato de 13 caracteres, uno por dígito: <code>F</code> prefijo,{" "}
+        <code>P</code> PLU, <code>W</code> peso, <code>$</code> importe,{" "}
+        <code>C</code> dígito verificador, <code>x</code> se ignora. Los
+        decimales indican cómo leer el peso (3 = gramos → kg) o el importe. El
+        PLU se busca en el campo PLU de los productos vendidos por kg.
+      </p>
+
+      <div className="overflow-auto border rounded-2xl bg-slate-50/40 mb-4">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100">
+            <tr>
+              <th className="text-left p-2">Prefijos</th>
+              <th className="text-left p-2">Formato</th>
+              <th className="text-right p-2">Decimales</th>
+              <th className="text-right p-2">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {formatos.map((f) => (
+              <tr key={f.id} className="odd:bg-white even:bg-slate-50">
+                <td className="p-2">
+                  <input
+                    className="w-32 border rounded-lg px-2 py-1 font-mono"
+                    placeholder="20-29"
+                    value={f.prefijos}
+                    onChange={(e) =>
+                      updateFormato(f.id, "prefijos", e.target.value)
+                    }
+                  />
+                </td>
+                <td className="p-2">
+                  <input
+                    className={
+                      "w-44 border rounded-lg px-2 py-1 font-mono uppercase " +
+                      (f.formato.length === 13 ? "" : "border-red-400")
+                    }
+                    maxLength={13}
+                    value={f.formato}
+                    onChange={(e) =>
+                      updateFormato(
+                        f.id,
+                        "formato",
+                        e.target.value.toUpperCase().replace(/[^FPW$CX]/g, "")
+                          .replace(/X/g, "x")
+                      )
+                    }
+                  />
+                </td>
+                <td className="p-2 text-right">
+                  <input
+                    type="number"
+                    min={0}
+                    max={4}
+                    className="w-16 border rounded-lg px-2 py-1 text-right"
+                    value={f.decimales}
+                    onChange={(e) =>
+                      updateFormato(
+                        f.id,
+                        "decimales",
+                        parseInt(e.target.value || "0", 10)
+                      )
+                    }
+                  />
+                </td>
+                <td className="p-2 text-right">
+                  <button
+                    onClick={() => quitarFormato(f.id)}
+                    className="text-red-600 hover:underline text-xs"
+                  >
+                    Quitar
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {!formatos.length && (
+              <tr>
+                <td colSpan={4} className="p-6 text-center text-slate-500">
+                  Sin formatos: las etiquetas de balanza no se reconocerán
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="text-slate-700">Probar etiqueta</label>
+        <input
+          className="border rounded-xl px-3 py-2 font-mono"
+          placeholder="2012345003507"
+          value={prueba}
+          onChange={(e) => setPrueba(e.target.value)}
+        />
+        {resultadoPrueba &&
+          (resultadoPrueba.error ? (
+            <span className="text-red-600">{resultadoPrueba.error}</span>
+          ) : (
+            <span className="text-slate-700">
+              PLU {resultadoPrueba.plu} ·{" "}
+              {resultadoPrueba.tipo === "peso"
+                ? formatQty(resultadoPrueba.valor, "kg")
+                : currency(resultadoPrueba.valor)}{" "}
+              ·{" "}
+              {resultadoPrueba.prod ? (
+                resultadoPrueba.prod.nombre
+              ) : (
+                <span className="text-red-600">producto no encontrado</span>
+              )}
+            </span>
+          ))}
+      </div>
+    </Section>
+  );
+}
+
+// ---- Importar / Exportar ----
+function ImportExport({ data, setData }) {
+  const fileRef = useRef(null);
+
+  const handleImport = async (file) => {
+    const text = await file.text();
+    try {
+      const parsed = parseCSV(text);
+      let rows = parsed.rows;
+      if (!rows.length) return alert("No se detectaron filas válidas.");
+      if (parsed.invalidas.length) {
+        const detalle = parsed.invalidas
+          .slice(0, 15)
+          .map((x) => `Línea ${x.linea}: ${x.ean} – ${x.motivo}`)
+          .join("\n");
+        const mas =
+          parsed.invalidas.length > 15
+            ? `\n… y ${parsed.invalidas.length - 15} más`
+            : "";
+        const importarIgual = confirm(
+          `Se detectaron ${parsed.invalidas.length} fila(s) con EAN inválido:\n\n${detalle}${mas}\n\nAceptar = importarlas igualmente · Cancelar = omitirlas`
+        );
+        if (!importarIgual) {
+          const omitir = new Set(parsed.invalidas.map((x) => x.row));
+          rows = rows.filter((r) => !omitir.has(r));
+          if (!rows.length) return alert("No quedaron filas para importar.");
+        }
+      }
+      // Se compara por EAN normalizado (UPC-A = EAN-13 con 0 inicial). Si una
+      // fila coincide con varios productos existentes no se fusionan: se omite
+      // y se avisa para que se resuelva a mano.
+      const indicePorEAN = (productos) => {
+        const m = new Map();
+        productos.forEach((p, i) => {
+          const key = normalizeEAN(p.ean).toLowerCase();
+          m.set(key, [...(m.get(key) || []), i]);
+        });
+        return m;
+      };
+      const previos = indicePorEAN(data.productos);
+      const ambiguas = rows.filter(
+        (r) => (previos.get(r.ean.toLowerCase()) || []).length > 1
+      );
+      if (ambiguas.length) {
+        const omitir = new Set(ambiguas);
+        rows = rows.filter((r) => !omitir.has(r));
+      }
+      setData((s) => {
+        const productos = [...s.productos];
+        const indice = indicePorEAN(productos);
+        rows.forEach((r) => {
+          const key = r.ean.toLowerCase();
+          const idxs = indice.get(key) || [];
+          if (idxs.length > 1) return;
+          if (idxs.length === 1) {
+            const ex = productos[idxs[0]];
+            const actualizado = withPrecio(
+              { ...ex, nombre: r.nombre || ex.nombre },
+              r.precio,
+              "csv"
+            );
+            if (r.costo != null) actualizado.costo = r.costo;
+            if (r.categoria) actualizado.categoria = r.categoria;
+            productos[idxs[0]] = actualizado;
+          } else {
+            indice.set(key, [productos.length]);
+            productos.push({ ...r, id: uid() });
+          }
+        });
+        return { ...s, productos };
+      });
+      const avisoAmbiguas = ambiguas.length
+        ? `\n\n${ambiguas.length} fila(s) sin importar porque su EAN coincide con varios productos:\n${ambiguas
+            .slice(0, 15)
+            .map((r) => `${r.ean} – ${r.nombre}`)
+            .join("\n")}${ambiguas.length > 15 ? `\n… y ${ambiguas.length - 15} más` : ""}`
+        : "";
+      alert(`Importados ${rows.length} productos.${avisoAmbiguas}`);
     } catch (err) {
       alert(err.message || String(err));
     }
@@ -843,58 +4122,589 @@ function ImportExport({ data, setData }) {
     );
   };
 
-  const downloadTemplate = () => {
-    const csv = [
-      "ean,nombre,precio",
-      "7790001000012,Leche entera 1L,1899",
-      "7790001000029,Arroz 1kg,2150",
-    ].join("\n");
-    download("plantilla-productos.csv", csv);
+  const downloadTemplate = () => {
+    const csv = [
+      "ean,nombre,precio",
+      "7790001000012,Leche entera 1L,1899",
+      "7790001000029,Arroz 1kg,2150",
+    ].join("\n");
+    download("plantilla-productos.csv", csv);
+  };
+
+  return (
+    <Section
+      title="Importar / Exportar"
+      desc="Carga productos desde CSV o descarga respaldo JSON."
+      right={
+        <button
+          onClick={downloadTemplate}
+          className="px-3 py-1.5 rounded-xl border hover:bg-slate-50 text-sm"
+        >
+          ↓ Plantilla CSV
+        </button>
+      }
+    >
+      <div className="flex flex-col gap-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            ref={fileRef}
+            className="hidden"
+            onChange={(e) =>
+              e.target.files?.[0] && handleImport(e.target.files[0])
+            }
+          />
+          <button
+            onClick={() => fileRef.current?.click()}
+            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+          >
+            Importar CSV
+          </button>
+          <button
+            onClick={exportJSON}
+            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+          >
+            Exportar respaldo (JSON)
+          </button>
+        </div>
+        <p className="text-sm text-slate-600">
+          Formato esperado: <code>ean,nombre,precio</code>. Ejemplo:{" "}
+          <code className="ml-1">7790001000012,Leche entera 1L,1899</code>
+        </p>
+        <p className="text-sm text-slate-600">
+          Columnas opcionales: <code>costo</code> (precio de compra, para
+          calcular márgenes) y <code>categoria</code>.
+        </p>
+      </div>
+    </Section>
+  );
+}
+
+// Precio manual para productos con precio 0: { valor } o { error }
+function parsePrecioManual(input) {
+  const cleaned = String(input || "").replace(/[^\d.,]/g, "");
+  const digits = cleaned.replace(/\D/g, "");
+  if (!digits) return { error: "Ingresa un número válido." };
+  if (digits.length > 10) return { error: "Máximo 10 dígitos para el precio." };
+  const num = parseFloat(cleaned.replace(/\./g, "").replace(",", "."));
+  if (!isFinite(num) || num < 0) {
+    return { error: "Ingresa un precio válido (>= 0)." };
+  }
+  return { valor: num };
+}
+
+// Diálogo en la página (en lugar de prompt/confirm) para no perder el foco del
+// lector. Con `campo` pide un valor: `campo.validar(texto)` → { valor } | { error }.
+function PosDialog({ titulo, mensaje, campo, okLabel, onOk, onCancel }) {
+  const [texto, setTexto] = useState(campo?.inicial || "");
+  const [error, setError] = useState("");
+
+  const ok = () => {
+    if (!campo) return onOk(true);
+    const r = campo.validar ? campo.validar(texto) : { valor: texto.trim() };
+    if (r.error) return setError(r.error);
+    onOk(r.valor);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          ok();
+        }
+        if (e.key === "Escape") {
+          e.preventDefault();
+          onCancel();
+        }
+      }}
+    >
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm p-5">
+        <h3 className="text-base font-semibold mb-1">{titulo}</h3>
+        {mensaje && (
+          <p className="text-sm text-slate-600 mb-3 whitespace-pre-line">
+            {mensaje}
+          </p>
+        )}
+        {campo && (
+          <input
+            autoFocus
+            className="w-full border rounded-xl px-3 py-2 mb-1"
+            placeholder={campo.placeholder || ""}
+            value={texto}
+            onChange={(e) => {
+              setTexto(e.target.value);
+              setError("");
+            }}
+          />
+        )}
+        <div className="text-xs text-red-600 min-h-[1rem] mb-2">{error}</div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cancelar <span className="text-xs text-slate-400">Esc</span>
+          </button>
+          <button
+            autoFocus={!campo}
+            onClick={ok}
+            className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+          >
+            {okLabel || "Aceptar"}{" "}
+            <span className="text-xs text-sky-200">Enter</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Elegir (o dar de alta) el cliente de una venta fiada y controlar su límite.
+// onOk({ id }) para un cliente existente u onOk({ nuevo: { nombre, telefono, dni } }).
+function ClienteFiadoModal({
+  personas,
+  productos,
+  settings,
+  monto,
+  bloquear,
+  onOk,
+  onCancel,
+}) {
+  const [query, setQuery] = useState("");
+  const [idx, setIdx] = useState(0);
+  const [elegido, setElegido] = useState(null); // persona existente o { nuevo }
+  const [alta, setAlta] = useState(null); // { nombre, telefono, dni }
+  const [error, setError] = useState("");
+
+  const resultados = useMemo(
+    () => buscarClientes(personas, query).slice(0, 8),
+    [personas, query]
+  );
+  const control = elegido
+    ? controlLimite(elegido.nuevo ? null : elegido, productos, monto, settings)
+    : null;
+
+  const confirmarAlta = () => {
+    const nombre = (alta.nombre || "").trim();
+    if (!nombre) return setError("Indica el nombre del cliente.");
+    const existente = personas.find(
+      (p) => foldText(p.nombre).trim() === foldText(nombre)
+    );
+    if (existente) {
+      return setError(
+        `Ya existe un cliente llamado "${existente.nombre}". Elígelo de la lista.`
+      );
+    }
+    setElegido({
+      nuevo: {
+        nombre,
+        ...(alta.telefono?.trim() ? { telefono: alta.telefono.trim() } : {}),
+        ...(alta.dni?.trim() ? { dni: alta.dni.trim() } : {}),
+      },
+    });
+    setAlta(null);
+  };
+
+  const confirmar = () => {
+    if (control.excede && bloquear) return;
+    onOk(elegido.nuevo ? { nuevo: elegido.nuevo } : { id: elegido.id });
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      if (elegido) setElegido(null);
+      else if (alta) setAlta(null);
+      else onCancel();
+      return;
+    }
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    if (elegido) confirmar();
+    else if (alta) confirmarAlta();
+    else if (resultados[idx]) setElegido(resultados[idx]);
+    else if (query.trim()) setAlta({ nombre: query.trim() });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+      onKeyDown={onKeyDown}
+    >
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-5">
+        <h3 className="text-base font-semibold mb-1">Venta fiada</h3>
+        <p className="text-sm text-slate-600 mb-3">
+          Importe de esta venta:{" "}
+          <span className="font-semibold">{currency(monto)}</span>
+        </p>
+
+        {!elegido && !alta && (
+          <>
+            <input
+              autoFocus
+              className="w-full border rounded-xl px-3 py-2 mb-2"
+              placeholder="Buscar por nombre, DNI o teléfono"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setIdx(0);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "ArrowDown") {
+                  e.preventDefault();
+                  setIdx((i) => Math.min(i + 1, resultados.length - 1));
+                }
+                if (e.key === "ArrowUp") {
+                  e.preventDefault();
+                  setIdx((i) => Math.max(i - 1, 0));
+                }
+              }}
+            />
+            <div className="border rounded-xl max-h-64 overflow-auto mb-2">
+              {resultados.map((p, i) => {
+                const c = controlLimite(p, productos, 0, settings);
+                return (
+                  <button
+                    key={p.id}
+                    onClick={() => setElegido(p)}
+                    onMouseEnter={() => setIdx(i)}
+                    className={
+                      "w-full text-left px-3 py-2 text-sm flex justify-between gap-2 " +
+                      (i === idx ? "bg-sky-50" : "hover:bg-slate-50")
+                    }
+                  >
+                    <span>
+                      <span className="font-medium">{p.nombre}</span>
+                      {p.archivado && (
+                        <span className="ml-2 text-xs text-slate-500">
+                          cuenta archivada, se reactiva
+                        </span>
+                      )}
+                      {(p.dni || p.telefono) && (
+                        <span className="block text-xs text-slate-500">
+                          {[p.dni && `DNI ${p.dni}`, p.telefono]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-xs text-right text-slate-600 whitespace-nowrap">
+                      Saldo {currency(c.saldo)}
+                      {c.limite > 0 && (
+                        <span className="block">Límite {currency(c.limite)}</span>
+                      )}
+                    </span>
+                  </button>
+                );
+              })}
+              {!resultados.length && (
+                <div className="px-3 py-3 text-sm text-slate-500">
+                  Sin coincidencias
+                </div>
+              )}
+            </div>
+            <button
+              onClick={() => {
+                setAlta({ nombre: query.trim() });
+                setError("");
+              }}
+              className="text-sm text-sky-700 hover:underline"
+            >
+              + Nuevo cliente
+            </button>
+          </>
+        )}
+
+        {alta && (
+          <div className="space-y-2">
+            {CLIENTE_CAMPOS.slice(0, 3).map(([field, label], i) => (
+              <input
+                key={field}
+                autoFocus={i === 0}
+                className="w-full border rounded-xl px-3 py-2 text-sm"
+                placeholder={label}
+                value={alta[field] || ""}
+                onChange={(e) => {
+                  setAlta((a) => ({ ...a, [field]: e.target.value }));
+                  setError("");
+                }}
+              />
+            ))}
+            <p className="text-xs text-slate-500">
+              Dirección, notas y límite de crédito se completan en Fiados.
+            </p>
+          </div>
+        )}
+
+        {elegido && control && (
+          <div className="text-sm space-y-1">
+            <div className="font-semibold">
+              {elegido.nuevo ? `${elegido.nuevo.nombre} (nuevo)` : elegido.nombre}
+            </div>
+            <div className="flex justify-between">
+              <span>Saldo actual</span>
+              <span>{currency(control.saldo)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Saldo con esta venta</span>
+              <span className="font-semibold">{currency(control.nuevo)}</span>
+            </div>
+            {control.limite > 0 && (
+              <div className="flex justify-between">
+                <span>Límite de crédito</span>
+                <span>{currency(control.limite)}</span>
+              </div>
+            )}
+            {control.excede && (
+              <div className="rounded-xl bg-red-50 border border-red-200 text-red-700 px-3 py-2">
+                Supera el límite por {currency(control.nuevo - control.limite)}.
+                {bloquear
+                  ? " La configuración no permite registrar el fiado."
+                  : " Puedes registrarlo igual."}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="text-xs text-red-600 min-h-[1rem] my-2">{error}</div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => {
+              if (elegido) setElegido(null);
+              else if (alta) setAlta(null);
+              else onCancel();
+            }}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            {elegido || alta ? "Volver" : "Cancelar"}{" "}
+            <span className="text-xs text-slate-400">Esc</span>
+          </button>
+          {alta && (
+            <button
+              onClick={confirmarAlta}
+              className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+            >
+              Continuar <span className="text-xs text-sky-200">Enter</span>
+            </button>
+          )}
+          {elegido && (
+            <button
+              autoFocus
+              onClick={confirmar}
+              disabled={control.excede && bloquear}
+              className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700 disabled:opacity-50"
+            >
+              {control.excede ? "Registrar igual" : "Registrar fiado"}{" "}
+              <span className="text-xs text-sky-200">Enter</span>
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Billetes para sumar rápido en "Paga con"
+const BILLETES = [500, 1000, 2000, 10000, 20000];
+
+// Atajos del modo caja (se muestran en la ayuda)
+const POS_ATAJOS = [
+  ["3 *", "Multiplicador: la próxima lectura se agrega 3 veces (en kg, 3 = 3 kg)"],
+  ["Enter", "Con código: agrega · con el campo vacío: finaliza la venta"],
+  ["Esc", "Borra el código / multiplicador; con el campo vacío quita la última línea"],
+  ["↑ ↓", "Recorre las sugerencias de búsqueda"],
+  ["F2", "Efectivo"],
+  ["F3", "MercadoPago"],
+  ["F4", "Posnet"],
+  ["F6", "Fiado"],
+  ["F8", "Activa / desactiva múltiples métodos de pago"],
+  ["F9", "Descuento al ticket"],
+  ["F1", "Muestra / oculta esta ayuda"],
+];
+
+// Teclado numérico para ingresar kg (también acepta el teclado físico)
+function KeypadModal({ title, initial, onOk, onCancel }) {
+  const [val, setVal] = useState(
+    initial ? String(roundQty(initial)).replace(".", ",") : ""
+  );
+  const [error, setError] = useState("");
+
+  const press = (k) => {
+    if (k === "←") return setVal((v) => v.slice(0, -1));
+    if (k === ",") return setVal((v) => (v.includes(",") ? v : (v || "0") + ","));
+    // Hasta 3 decimales (gramos)
+    setVal((v) => (/,\d{3}$/.test(v) ? v : v + k));
+  };
+
+  const ok = () => {
+    const n = parseFloat(val.replace(",", "."));
+    if (!isFinite(n) || n <= 0) {
+      setError("Ingresa un peso válido (mayor a 0).");
+      return;
+    }
+    onOk(n);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xs p-5">
+        <h3 className="text-base font-semibold mb-1 truncate">{title}</h3>
+        <p className="text-xs text-slate-500 mb-2">Peso en kg</p>
+        <input
+          autoFocus
+          inputMode="decimal"
+          className="w-full border rounded-xl px-3 py-2 mb-1 text-right text-2xl font-mono"
+          value={val}
+          placeholder="0,000"
+          onChange={(e) => {
+            setVal(e.target.value.replace(/[^\d,]/g, ""));
+            setError("");
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") ok();
+            if (e.key === "Escape") onCancel();
+          }}
+        />
+        <div className="text-xs text-red-600 min-h-[1rem] mb-2">{error}</div>
+        <div className="grid grid-cols-3 gap-2 mb-3">
+          {["7", "8", "9", "4", "5", "6", "1", "2", "3", ",", "0", "←"].map(
+            (k) => (
+              <button
+                key={k}
+                onClick={() => press(k)}
+                className="py-3 rounded-xl border text-lg font-semibold hover:bg-slate-50"
+              >
+                {k}
+              </button>
+            )
+          )}
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={ok}
+            className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+          >
+            Aceptar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Descuento en % o monto fijo sobre una base. onOk(null) lo quita.
+function DescuentoModal({ title, base, initial, onOk, onCancel }) {
+  const [tipo, setTipo] = useState(initial?.tipo || "porcentaje");
+  const [valor, setValor] = useState(
+    initial ? String(initial.valor).replace(".", ",") : ""
+  );
+  const [motivo, setMotivo] = useState(initial?.motivo || "");
+  const [error, setError] = useState("");
+
+  // El porcentaje admite decimales ("7,5"); el monto fijo se lee como dinero
+  const num =
+    tipo === "porcentaje"
+      ? parseFloat(valor.replace(",", ".")) || 0
+      : parseMoneyInput(valor);
+  const desc = { tipo, valor: num, motivo: motivo.trim() };
+  const monto = discountAmount(desc, base);
+
+  const ok = () => {
+    if (!(desc.valor > 0)) {
+      setError("Ingresa un descuento mayor a 0.");
+      return;
+    }
+    if (tipo === "porcentaje" && desc.valor > 100) {
+      setError("El porcentaje no puede superar 100%.");
+      return;
+    }
+    if (tipo === "monto" && desc.valor > base) {
+      setError("El descuento no puede superar el importe.");
+      return;
+    }
+    if (!desc.motivo) delete desc.motivo;
+    onOk(desc);
   };
 
   return (
-    <Section
-      title="Importar / Exportar"
-      desc="Carga productos desde CSV o descarga respaldo JSON."
-      right={
-        <button
-          onClick={downloadTemplate}
-          className="px-3 py-1.5 rounded-xl border hover:bg-slate-50 text-sm"
-        >
-          ↓ Plantilla CSV
-        </button>
-      }
-    >
-      <div className="flex flex-col gap-3">
-        <div className="flex flex-wrap items-center gap-3">
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm p-5">
+        <h3 className="text-base font-semibold mb-1 truncate">{title}</h3>
+        <p className="text-xs text-slate-500 mb-3">
+          Importe: {currency(base)}
+        </p>
+        <div className="flex gap-2 mb-2">
+          <select
+            className="border rounded-xl px-3 py-2 text-sm"
+            value={tipo}
+            onChange={(e) => setTipo(e.target.value)}
+          >
+            <option value="porcentaje">%</option>
+            <option value="monto">$ fijo</option>
+          </select>
           <input
-            type="file"
-            accept=".csv,text/csv"
-            ref={fileRef}
-            className="hidden"
-            onChange={(e) =>
-              e.target.files?.[0] && handleImport(e.target.files[0])
-            }
+            autoFocus
+            className="flex-1 border rounded-xl px-3 py-2 text-right"
+            placeholder={tipo === "porcentaje" ? "Ej: 10" : "Ej: 500"}
+            value={valor}
+            onChange={(e) => {
+              setValor(e.target.value);
+              setError("");
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") ok();
+              if (e.key === "Escape") onCancel();
+            }}
           />
+        </div>
+        <input
+          className="w-full border rounded-xl px-3 py-2 text-sm mb-3"
+          placeholder="Motivo (opcional)"
+          value={motivo}
+          onChange={(e) => setMotivo(e.target.value)}
+        />
+        {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+        <div className="text-sm mb-4">
+          Descuento:{" "}
+          <span className="font-semibold text-emerald-700">
+            −{currency(monto)}
+          </span>{" "}
+          · Queda: <span className="font-semibold">{currency(base - monto)}</span>
+        </div>
+        <div className="flex justify-between gap-2">
           <button
-            onClick={() => fileRef.current?.click()}
-            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
-          >
-            Importar CSV
-          </button>
-          <button
-            onClick={exportJSON}
-            className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+            onClick={() => onOk(null)}
+            disabled={!initial}
+            className="px-3 py-1.5 rounded-xl border text-sm text-red-600 hover:bg-red-50 disabled:text-slate-300 disabled:hover:bg-white"
           >
-            Exportar respaldo (JSON)
+            Quitar descuento
           </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={ok}
+              className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+            >
+              Aplicar
+            </button>
+          </div>
         </div>
-        <p className="text-sm text-slate-600">
-          Formato esperado: <code>ean,nombre,precio</code>. Ejemplo:{" "}
-          <code className="ml-1">7790001000012,Leche entera 1L,1899</code>
-        </p>
       </div>
-    </Section>
+    </div>
   );
 }
 
@@ -917,61 +4727,151 @@ function NuevaVenta({ data, setData }) {
     }
   }, [metodo]);
 
+  // ---- Modo caja (teclado) ----
+  const modoCaja = !!(data.settings || {}).modoCaja;
+  const codigoRef = useRef(null);
+  const enfocarCodigo = () => setTimeout(() => codigoRef.current?.focus(), 0);
+  const [multiplicador, setMultiplicador] = useState(null);
+  const [ayudaAbierta, setAyudaAbierta] = useState(false);
+
+  const toggleModoCaja = (activo) =>
+    setData((s) => ({
+      ...s,
+      settings: { ...(s.settings || {}), modoCaja: activo },
+    }));
+
+  // Avisos en la página: no bloquean el lector; los de éxito se ocultan solos
+  const [aviso, setAviso] = useState(null); // { id, texto, tipo: "error" | "ok" }
+  const avisar = (texto, tipo = "error") => setAviso({ id: uid(), texto, tipo });
+
+  useEffect(() => {
+    if (aviso?.tipo !== "ok") return;
+    const t = setTimeout(() => setAviso(null), 4000);
+    return () => clearTimeout(t);
+  }, [aviso]);
+
+  // Diálogos en la página: promesa con el valor ingresado (null = cancelado)
+  const [dialogo, setDialogo] = useState(null);
+  const abrirDialogo = (opts) =>
+    new Promise((resolve) => setDialogo({ ...opts, id: uid(), resolve }));
+  const cerrarDialogo = (valor) => {
+    dialogo.resolve(valor);
+    setDialogo(null);
+    enfocarCodigo();
+  };
+
+  // Cliente de la venta fiada: promesa con { id } | { nuevo } (null = cancelado)
+  const [clienteFiado, setClienteFiado] = useState(null);
+  const elegirCliente = () =>
+    new Promise((resolve) => setClienteFiado({ resolve }));
+  const cerrarClienteFiado = (valor) => {
+    clienteFiado.resolve(valor);
+    setClienteFiado(null);
+    enfocarCodigo();
+  };
+
+  // Precio 0 → se pide el precio de esta venta, sin actualizar el catálogo
+  const pedirPrecio = (prod) =>
+    abrirDialogo({
+      titulo: "Precio manual",
+      mensaje: `El producto "${prod.nombre}" tiene precio 0.\nIngresa el precio (hasta 10 dígitos, sin símbolo $):`,
+      campo: { placeholder: "Ej: 1500", validar: parsePrecioManual },
+    });
+
+  // Etiqueta de balanza: una línea por etiqueta, cantidad en kg
+  const addPesable = async (balanza) => {
+    const prod = findByPLU(data.productos, balanza.plu);
+    if (!prod) {
+      avisar(`Etiqueta de balanza: PLU ${balanza.plu} no encontrado en productos`);
+      return;
+    }
+    setAviso(null);
+    // Sin precio por kg se pide: también hace falta para deducir el peso de
+    // una etiqueta de importe (si no, quedaría "1,000 kg" en el ticket)
+    const precioKg =
+      Number(prod.precio) > 0 ? Number(prod.precio) : await pedirPrecio(prod);
+    if (precioKg === null) return;
+    if (balanza.tipo === "importe" && !(precioKg > 0)) {
+      avisar(`Etiqueta de importe: "${prod.nombre}" necesita un precio por kg mayor a 0`);
+      return;
+    }
+    const linea =
+      balanza.tipo === "peso"
+        ? { precio: precioKg, qty: balanza.valor }
+        : {
+            precio: precioKg,
+            qty: Math.round((balanza.valor / precioKg) * 1000) / 1000,
+            importe: balanza.valor,
+          };
+    setItems((arr) => [
+      ...arr,
+      {
+        id: uid(),
+        ean: prod.ean,
+        nombre: prod.nombre,
+        ...linea,
+        unidad: "kg",
+        pesable: true,
+        ...(Number(prod.costo) > 0 ? { costo: Number(prod.costo) } : {}),
+      },
+    ]);
+    setCodigo("");
+  };
+
   const addByCode = () => {
     const code = codigo.trim();
     if (!code) return;
-    const codeNorm = code.toLowerCase();
-    const prod = data.productos.find(
-      (x) => String(x.ean).toLowerCase() === codeNorm
+    const prod = data.productos.find((x) => sameEAN(x.ean, code));
+    if (prod) {
+      addProducto(prod);
+      return;
+    }
+    const balanza = decodeScaleBarcode(
+      code,
+      (data.settings || {}).balanza || DEFAULT_BALANZA
     );
-    if (!prod) {
-      alert("Código no encontrado en productos");
+    if (balanza) {
+      addPesable(balanza);
       return;
     }
+    const motivo = eanIssue(code);
+    avisar(
+      motivo
+        ? `Código no encontrado en productos. ${motivo}: posible error de lectura o tipeo.`
+        : "Código no encontrado en productos"
+    );
+    setCodigo("");
+  };
 
+  // Mismo flujo para un escaneo y para un producto elegido en la búsqueda
+  const addProducto = async (prod) => {
+    const mult = multiplicador;
+    setMultiplicador(null);
+    setAviso(null);
     let precio = prod.precio;
 
     // Precio 0 → pedir manual (sin actualizar catálogo)
     if (!precio || +precio === 0) {
-      let manual = null;
-      while (manual === null) {
-        const input = prompt(
-          `El producto "${prod.nombre}" tiene precio 0.\n\nIngresa el precio (hasta 10 dígitos, sin símbolo $):`,
-          ""
-        );
-        if (input === null) {
-          return;
-        }
-        const cleaned = input.replace(/[^\d.,]/g, "");
-        const digits = cleaned.replace(/\D/g, "");
-        if (!digits) {
-          alert("Ingresa un número válido.");
-          continue;
-        }
-        if (digits.length > 10) {
-          alert("Máximo 10 dígitos para el precio.");
-          continue;
-        }
-        const num = parseFloat(
-          cleaned.replace(/\./g, "").replace(",", ".")
-        );
-        if (!isFinite(num) || num < 0) {
-          alert("Ingresa un precio válido (>= 0).");
-          continue;
-        }
-        manual = num;
-      }
-      precio = manual;
+      precio = await pedirPrecio(prod);
+      if (precio === null) return;
+    }
+
+    // Por kg → el peso se ingresa con el teclado numérico, salvo que venga
+    // indicado con el multiplicador (0,5* → 0,500 kg)
+    if (prod.unidad === "kg") {
+      setCodigo("");
+      if (mult) agregarKg(prod, precio, roundQty(mult));
+      else setKeypad({ prod, precio });
+      return;
     }
 
+    const cant = mult ? Math.max(1, Math.round(mult)) : 1;
     setItems((arr) => {
-      const ex = arr.find((i) => i.ean === prod.ean && i.precio === precio);
+      const ex = arr.find(
+        (i) => i.ean === prod.ean && i.precio === precio && !i.pesable
+      );
       if (ex) {
-        return arr.map((i) =>
-          i.ean === prod.ean && i.precio === precio
-            ? { ...i, qty: i.qty + 1 }
-            : i
-        );
+        return arr.map((i) => (i === ex ? { ...i, qty: i.qty + cant } : i));
       }
       return [
         ...arr,
@@ -980,17 +4880,223 @@ function NuevaVenta({ data, setData }) {
           ean: prod.ean,
           nombre: prod.nombre,
           precio,
-          qty: 1,
+          qty: cant,
+          // costo al momento de la venta (para el reporte de márgenes)
+          ...(Number(prod.costo) > 0 ? { costo: Number(prod.costo) } : {}),
         },
       ];
     });
     setCodigo("");
   };
 
-  const total = useMemo(
-    () => items.reduce((acc, i) => acc + i.precio * i.qty, 0),
-    [items]
+  // Autocompletado por nombre / EAN parcial debajo del campo de código
+  const [sugIdx, setSugIdx] = useState(-1);
+  const [sugAbiertas, setSugAbiertas] = useState(true);
+  const sugerencias = useMemo(
+    () =>
+      codigo.trim().length >= 2 ? searchProductos(data.productos, codigo) : [],
+    [codigo, data.productos]
+  );
+
+  const elegirSugerencia = (prod) => {
+    setSugIdx(-1);
+    addProducto(prod);
+    setCodigo("");
+  };
+
+  // Enter sin sugerencia marcada se comporta como un escaneo
+  const onCodigoKeyDown = (e) => {
+    const visibles = sugAbiertas ? sugerencias : [];
+    if (e.key === "ArrowDown" && visibles.length) {
+      e.preventDefault();
+      setSugIdx((i) => Math.min(visibles.length - 1, i + 1));
+    } else if (e.key === "ArrowUp" && visibles.length) {
+      e.preventDefault();
+      setSugIdx((i) => Math.max(-1, i - 1));
+    } else if (e.key === "*" && modoCaja) {
+      e.preventDefault();
+      // Cantidad decimal ("0,5" o "0.5"), no dinero: el punto no es de miles
+      const n = parseFloat(codigo.trim().replace(",", "."));
+      if (n > 0) {
+        setMultiplicador(n);
+        setCodigo("");
+      } else {
+        avisar("Escribe la cantidad antes del * (ej: 3*).");
+      }
+    } else if (e.key === "Escape") {
+      if (visibles.length) {
+        setSugAbiertas(false);
+        setSugIdx(-1);
+      } else if (modoCaja) {
+        if (codigo) setCodigo("");
+        else if (multiplicador) setMultiplicador(null);
+        else setItems((arr) => arr.slice(0, -1));
+      }
+    } else if (e.key === "Enter") {
+      if (sugIdx >= 0 && visibles[sugIdx]) elegirSugerencia(visibles[sugIdx]);
+      else if (modoCaja && !codigo.trim()) finalizar();
+      else addByCode();
+    }
+  };
+
+  // Atajos globales (F1–F9) mientras no haya un diálogo abierto. El manejador
+  // se guarda en una ref para leer siempre el estado actual.
+  const atajoRef = useRef(null);
+  atajoRef.current = (e) => {
+    if (dialogo || keypad || descEdit) return;
+    if (e.key === "F1") {
+      e.preventDefault();
+      setAyudaAbierta((v) => !v);
+      return;
+    }
+    if (ayudaAbierta && e.key === "Escape") {
+      setAyudaAbierta(false);
+      return;
+    }
+    const metodos = { F2: "efectivo", F3: "mercadopago", F4: "posnet", F6: "fiado" };
+    if (metodos[e.key]) {
+      e.preventDefault();
+      setMetodo(metodos[e.key]);
+      enfocarCodigo();
+    } else if (e.key === "F8") {
+      e.preventDefault();
+      if (metodo !== "fiado") {
+        setMultiPago((v) => !v);
+        setPagosTemp([]);
+      }
+    } else if (e.key === "F9") {
+      e.preventDefault();
+      if (items.length) setDescEdit({ ticket: true });
+    }
+  };
+
+  useEffect(() => {
+    if (!modoCaja) return;
+    const onKey = (e) => atajoRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [modoCaja]);
+
+  // Teclado numérico para kg: { prod, precio } agrega línea, { itemId } edita
+  const [keypad, setKeypad] = useState(null);
+
+  const agregarKg = (prod, precio, qty) =>
+    setItems((arr) => [
+      ...arr,
+      {
+        id: uid(),
+        ean: prod.ean,
+        nombre: prod.nombre,
+        precio,
+        qty,
+        unidad: "kg",
+        ...(Number(prod.costo) > 0 ? { costo: Number(prod.costo) } : {}),
+      },
+    ]);
+
+  const confirmarKeypad = (kg) => {
+    const qty = roundQty(kg);
+    if (keypad.itemId) {
+      setQty(keypad.itemId, qty);
+    } else {
+      agregarKg(keypad.prod, keypad.precio, qty);
+    }
+    setKeypad(null);
+    enfocarCodigo();
+  };
+
+  // Descuentos: por línea (item.descuento) y al ticket
+  const [descTicket, setDescTicket] = useState(null);
+  const [descEdit, setDescEdit] = useState(null); // { itemId } | { ticket: true }
+
+  // Promociones automáticas: se recalculan con cada cambio del carrito
+  const itemsCalc = useMemo(
+    () => applyPromociones(items, data.promociones, data.productos),
+    [items, data.promociones, data.productos]
+  );
+
+  // Sumas redondeadas a centavos (las líneas ya vienen redondeadas)
+  const subtotalLineas = useMemo(
+    () =>
+      Math.round(itemsCalc.reduce((acc, i) => acc + lineTotal(i), 0) * 100) /
+      100,
+    [itemsCalc]
+  );
+  const descuentoPromos = useMemo(
+    () =>
+      Math.round(
+        itemsCalc.reduce((acc, i) => acc + (i.promo?.monto || 0), 0) * 100
+      ) / 100,
+    [itemsCalc]
+  );
+  const descuentoLineas = useMemo(
+    () =>
+      itemsCalc.reduce(
+        (acc, i) => acc + discountAmount(i.descuento, linePromoBase(i)),
+        0
+      ),
+    [itemsCalc]
   );
+  const descuentoTicketMonto = discountAmount(descTicket, subtotalLineas);
+  const totalDescuentos =
+    Math.round(
+      (descuentoPromos + descuentoLineas + descuentoTicketMonto) * 100
+    ) / 100;
+  const total = Math.round((subtotalLineas - descuentoTicketMonto) * 100) / 100;
+
+  const aplicarDescuento = (desc) => {
+    if (descEdit.ticket) {
+      setDescTicket(desc);
+    } else {
+      setItems((arr) =>
+        arr.map((i) => {
+          if (i.id !== descEdit.itemId) return i;
+          if (!desc) {
+            const { descuento: _omit, ...rest } = i;
+            return rest;
+          }
+          return { ...i, descuento: desc };
+        })
+      );
+    }
+    setDescEdit(null);
+  };
+
+  // Ticket para el cliente
+  const ticketCfg = (data.settings || {}).ticket || {};
+  const [ultimaVenta, setUltimaVenta] = useState(null);
+  // Numeración correlativa; la ref evita repetir un número si se registran
+  // dos ventas antes de que llegue el estado actualizado
+  const numeroRef = useRef(0);
+  const reservarNumero = () => {
+    numeroRef.current = Math.max(ultimoNumeroVenta(data), numeroRef.current) + 1;
+    return numeroRef.current;
+  };
+  const impresora = impresoraCfg(data.settings);
+  const imprimirTicket = async (venta, opts) => {
+    const r = await imprimirVenta(venta, data.settings, opts);
+    if (!r.ok) avisar(`No se pudo imprimir el ticket: ${r.error}`);
+  };
+
+  // Cajón de dinero: solo con el puente, que envía el pulso a la impresora
+  const cajonAutomatico = impresora.salida === "puente" && impresora.abrirCajon;
+  const abrirCajon = async () => {
+    const r = await enviarEscPos(
+      createEscPos().init().pulse().bytes(),
+      "cajon",
+      data.settings
+    );
+    if (!r.ok) avisar(`No se pudo abrir el cajón: ${r.error}`);
+  };
+
+  // Efectivo: monto entregado por el cliente y vuelto
+  const [pagaCon, setPagaCon] = useState("");
+  const pagaConNum = parseMoneyInput(pagaCon);
+  const usaPagaCon = metodo === "efectivo" && !multiPago && pagaConNum > 0;
+  const vuelto = Math.round((pagaConNum - total) * 100) / 100;
+
+  const sumarBillete = (b) =>
+    setPagaCon((v) => String(parseMoneyInput(v) + b).replace(".", ","));
 
   const totalPagosTemp = useMemo(
     () => pagosTemp.reduce((a, p) => a + (p.monto || 0), 0),
@@ -1004,7 +5110,14 @@ function NuevaVenta({ data, setData }) {
 
   const setQty = (id, qty) => {
     setItems((arr) =>
-      arr.map((i) => (i.id === id ? { ...i, qty: Math.max(1, qty) } : i))
+      arr.map((i) => {
+        if (i.id !== id) return i;
+        // kg: decimales > 0; unidades: enteros >= 1
+        if (i.unidad === "kg") {
+          return qty > 0 ? { ...i, qty: roundQty(qty) } : i;
+        }
+        return { ...i, qty: Math.max(1, Math.round(qty) || 1) };
+      })
     );
   };
 
@@ -1014,7 +5127,7 @@ function NuevaVenta({ data, setData }) {
   const agregarPagoTemp = () => {
     const monto = parseMoneyInput(nuevoMontoPago);
     if (!isFinite(monto) || monto <= 0) {
-      alert("Ingresa un monto válido para el pago.");
+      avisar("Ingresa un monto válido para el pago.");
       return;
     }
     setPagosTemp((arr) => [
@@ -1028,75 +5141,181 @@ function NuevaVenta({ data, setData }) {
     setPagosTemp((arr) => arr.filter((p) => p.id !== id));
   };
 
-  const finalizar = () => {
-    if (!items.length) return alert("Agrega artículos a la venta.");
+  // ---- Carritos en espera ----
+  // Se guardan en el estado del usuario (sobreviven a una recarga). No son
+  // ventas: no descuentan stock ni cuentan en el cierre hasta retomarlos.
+  const enEspera = data.carritosEnEspera || [];
+
+  const carritoActual = (etiqueta) => ({
+    id: uid(),
+    etiqueta,
+    fecha: new Date().toISOString(),
+    items,
+    ...(descTicket ? { descTicket } : {}),
+  });
+
+  const limpiarCarrito = () => {
+    setPagaCon("");
+    setItems([]);
+    setDescTicket(null);
+    setPagosTemp([]);
+    setMultiPago(false);
+    setNuevoMontoPago("");
+  };
+
+  const ponerEnEspera = async () => {
+    if (!items.length) return avisar("No hay artículos para poner en espera.");
+    const etiqueta = await abrirDialogo({
+      titulo: "Poner en espera",
+      mensaje: "Nombre para identificar el carrito:",
+      campo: {
+        inicial: `Cliente ${enEspera.length + 1}`,
+        validar: (t) => (t.trim() ? { valor: t.trim() } : { error: "Ingresa un nombre." }),
+      },
+    });
+    if (!etiqueta) return;
+    const carrito = carritoActual(etiqueta);
+    setData((s) => ({
+      ...s,
+      carritosEnEspera: [...(s.carritosEnEspera || []), carrito],
+    }));
+    limpiarCarrito();
+  };
+
+  const retomar = async (id) => {
+    const carrito = enEspera.find((c) => c.id === id);
+    if (!carrito) return;
+    // El carrito actual no se pierde: pasa a espera en su lugar
+    let reemplazo = null;
+    if (items.length) {
+      const ok = await abrirDialogo({
+        titulo: "Retomar carrito",
+        mensaje: `El carrito actual tiene artículos. ¿Ponerlo en espera y retomar "${carrito.etiqueta}"?`,
+      });
+      if (!ok) return;
+      reemplazo = carritoActual(`Cliente ${enEspera.length + 1}`);
+    }
+    setData((s) => ({
+      ...s,
+      carritosEnEspera: [
+        ...(s.carritosEnEspera || []).filter((c) => c.id !== id),
+        ...(reemplazo ? [reemplazo] : []),
+      ],
+    }));
+    limpiarCarrito();
+    setItems(carrito.items || []);
+    setDescTicket(carrito.descTicket || null);
+  };
+
+  const descartarEspera = async (id) => {
+    const carrito = enEspera.find((c) => c.id === id);
+    if (!carrito) return;
+    const ok = await abrirDialogo({
+      titulo: "Descartar carrito",
+      mensaje: `¿Descartar el carrito "${carrito.etiqueta}"?`,
+      okLabel: "Descartar",
+    });
+    if (!ok) return;
+    setData((s) => ({
+      ...s,
+      carritosEnEspera: (s.carritosEnEspera || []).filter((c) => c.id !== id),
+    }));
+  };
+
+  const finalizar = async () => {
+    if (!items.length) return avisar("Agrega artículos a la venta.");
     for (const it of items) {
       if (!isFinite(+it.precio) || +it.precio < 0) {
-        alert("Revisa los precios ingresados (no pueden ser negativos).");
+        avisar("Revisa los precios ingresados (no pueden ser negativos).");
         return;
       }
     }
 
     const ahora = new Date().toISOString();
 
+    if (usaPagaCon && vuelto < 0) {
+      avisar(
+        `El monto recibido (${currency(pagaConNum)}) no alcanza para el total (${currency(total)}).`
+      );
+      return;
+    }
+
     // ---- FIADO (corregido, sin duplicar) ----
     if (metodo === "fiado") {
-      const nombre = (
-        prompt("¿A nombre de quién queda registrado el fiado?") || ""
-      ).trim();
-      if (!nombre) {
-        alert("Debes indicar un nombre para registrar el fiado.");
-        return;
-      }
-
-      const cargoItems = items.map((i) => {
+      const cliente = await elegirCliente();
+      if (!cliente) return;
+      const persona = cliente.nuevo
+        ? null
+        : (data.fiados || []).find((p) => p.id === cliente.id);
+      const nombre = cliente.nuevo ? cliente.nuevo.nombre : persona?.nombre;
+      const congelar = politicaPrecios(persona, data.settings).modo === "congelar";
+
+      const cargoItems = itemsCalc.map((i) => {
         const prod = data.productos.find((p) => p.ean === i.ean);
         const prodPrecio = prod ? Number(prod.precio) || 0 : 0;
+        const desc = {
+          ...(i.descuento ? { descuento: i.descuento } : {}),
+          ...(i.promo ? { promo: i.promo } : {}),
+        };
 
-        if (prodPrecio === 0) {
+        // Importe impreso por la balanza: se congela tal cual
+        if (typeof i.importe === "number") {
+          return { ean: i.ean, qty: i.qty, importe: i.importe, ...desc };
+        }
+
+        if (prodPrecio === 0 || congelar) {
           return {
             ean: i.ean,
             qty: i.qty,
             precioUnitario: i.precio, // se congela este precio
+            ...desc,
           };
         }
 
-        return { ean: i.ean, qty: i.qty };
+        return { ean: i.ean, qty: i.qty, ...desc };
       });
 
       const cargo = {
         id: uid(),
         fecha: ahora,
         items: cargoItems,
+        ...(descTicket ? { descuento: descTicket } : {}),
       };
 
       setData((s) => {
         const actuales = s.fiados || [];
-        const idx = actuales.findIndex(
-          (p) => p.nombre.toLowerCase() === nombre.toLowerCase()
-        );
+        const idx = cliente.nuevo
+          ? -1
+          : actuales.findIndex((p) => p.id === cliente.id);
         let fiadosActualizados;
 
         if (idx === -1) {
           fiadosActualizados = [
             ...actuales,
-            { id: uid(), nombre, cargos: [cargo], abonos: [] },
+            { id: uid(), ...cliente.nuevo, nombre, cargos: [cargo], abonos: [] },
           ];
         } else {
           const persona = actuales[idx];
+          // Una cuenta saldada vuelve a activos con la nueva compra
           const personaActualizada = {
-            ...persona,
+            ...reactivar(persona),
             cargos: [cargo, ...(persona.cargos || [])],
           };
           fiadosActualizados = [...actuales];
           fiadosActualizados[idx] = personaActualizada;
         }
 
-        return { ...s, fiados: fiadosActualizados };
+        return {
+          ...s,
+          fiados: fiadosActualizados,
+          productos: applyStockDelta(s.productos, items, -1),
+        };
       });
 
       setItems([]);
-      alert(`Venta fiada registrada a nombre de: ${nombre}`);
+      setDescTicket(null);
+      avisar(`Venta fiada registrada a nombre de: ${nombre}`, "ok");
+      enfocarCodigo();
       return;
     }
 
@@ -1105,7 +5324,7 @@ function NuevaVenta({ data, setData }) {
 
     if (multiPago) {
       if (!pagosTemp.length) {
-        alert("Agrega al menos un método de pago.");
+        avisar("Agrega al menos un método de pago.");
         return;
       }
       const totalPagos = pagosTemp.reduce(
@@ -1114,7 +5333,7 @@ function NuevaVenta({ data, setData }) {
       );
       const diff = Math.abs(totalPagos - total);
       if (diff > 0.01) {
-        alert(
+        avisar(
           `La suma de los métodos de pago (${currency(
             totalPagos
           )}) no coincide con el total de la venta (${currency(total)}).`
@@ -1124,8 +5343,9 @@ function NuevaVenta({ data, setData }) {
       const pagos = pagosTemp.map(({ id, ...rest }) => rest);
       venta = {
         id: uid(),
+        numero: reservarNumero(),
         fecha: ahora,
-        items,
+        items: itemsCalc,
         metodo: "mixto",
         total,
         pagos,
@@ -1133,20 +5353,52 @@ function NuevaVenta({ data, setData }) {
     } else {
       venta = {
         id: uid(),
+        numero: reservarNumero(),
         fecha: ahora,
-        items,
+        items: itemsCalc,
         metodo,
         total,
         pagos: [{ metodo, monto: total }],
+        // Control de caja: lo entregado por el cliente y el vuelto
+        ...(usaPagaCon ? { pagaCon: pagaConNum, vuelto } : {}),
       };
     }
 
-    setData((s) => ({ ...s, ventas: [venta, ...s.ventas] }));
+    if (totalDescuentos > 0) {
+      venta.subtotal = subtotalLineas;
+      venta.descuentos = totalDescuentos;
+      if (descTicket) {
+        venta.descuento = { ...descTicket, monto: descuentoTicketMonto };
+      }
+      if (descuentoPromos > 0) venta.promociones = descuentoPromos;
+    }
+
+    setData((s) => ({
+      ...s,
+      ultimoNumeroVenta: Math.max(Number(s.ultimoNumeroVenta) || 0, venta.numero),
+      ventas: [venta, ...s.ventas],
+      productos: applyStockDelta(s.productos, venta.items, -1),
+    }));
+    setUltimaVenta(venta);
+    const conEfectivo = venta.pagos.some((p) => p.metodo === "efectivo");
+    if (ticketCfg.imprimirAlFinalizar) {
+      imprimirTicket(venta, { cajon: cajonAutomatico && conEfectivo });
+    } else if (cajonAutomatico && conEfectivo) {
+      abrirCajon();
+    }
     setItems([]);
+    setDescTicket(null);
     setPagosTemp([]);
     setMultiPago(false);
     setNuevoMontoPago("");
-    alert("Venta registrada ✅");
+    setPagaCon("");
+    avisar(
+      usaPagaCon
+        ? `Venta registrada ✅ · Vuelto: ${currency(vuelto)}`
+        : "Venta registrada ✅",
+      "ok"
+    );
+    enfocarCodigo();
   };
 
   return (
@@ -1155,22 +5407,165 @@ function NuevaVenta({ data, setData }) {
         <Section
           title="Nueva venta"
           desc="Escanea o ingresa el código EAN del artículo. El código puede ser numérico o una palabra (no distingue mayúsculas/minúsculas)."
+          right={
+            <div className="flex items-center gap-2 shrink-0">
+              <label className="flex items-center gap-2 text-xs md:text-sm">
+                <input
+                  type="checkbox"
+                  checked={modoCaja}
+                  onChange={(e) => {
+                    toggleModoCaja(e.target.checked);
+                    enfocarCodigo();
+                  }}
+                />
+                Modo caja (teclado)
+              </label>
+              {modoCaja && (
+                <button
+                  onClick={() => setAyudaAbierta(true)}
+                  className="px-2 py-1 rounded-lg border text-xs hover:bg-slate-50"
+                >
+                  Atajos (F1)
+                </button>
+              )}
+            </div>
+          }
         >
           <div className="flex items-center gap-2 mb-3">
-            <input
-              placeholder="Código EAN o palabra"
-              className="flex-1 border rounded-xl px-3 py-2 font-mono"
-              value={codigo}
-              onChange={(e) => setCodigo(e.target.value)}
-              onKeyDown={(e) => e.key === "Enter" && addByCode()}
-            />
+            {multiplicador && (
+              <span className="px-2 py-1 rounded-lg bg-sky-100 text-sky-800 font-mono text-sm">
+                × {String(multiplicador).replace(".", ",")}
+              </span>
+            )}
+            <div className="relative flex-1">
+              <input
+                ref={codigoRef}
+                autoFocus={modoCaja}
+                placeholder={
+                  modoCaja
+                    ? "Código o nombre · 3* multiplica · Enter vacío finaliza"
+                    : "Código EAN, palabra o nombre del producto"
+                }
+                className="w-full border rounded-xl px-3 py-2 font-mono"
+                value={codigo}
+                onChange={(e) => {
+                  setCodigo(e.target.value);
+                  setSugIdx(-1);
+                  setSugAbiertas(true);
+                }}
+                onKeyDown={onCodigoKeyDown}
+                onBlur={() => setSugAbiertas(false)}
+                onFocus={() => setSugAbiertas(true)}
+              />
+              {sugAbiertas && sugerencias.length > 0 && (
+                <ul className="absolute z-30 left-0 right-0 mt-1 bg-white border rounded-xl shadow-lg max-h-72 overflow-auto text-sm">
+                  {sugerencias.map((p, idx) => (
+                    <li
+                      key={p.id}
+                      // onMouseDown: se dispara antes del blur del input
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        elegirSugerencia(p);
+                      }}
+                      onMouseEnter={() => setSugIdx(idx)}
+                      className={
+                        "flex items-center justify-between gap-3 px-3 py-2 cursor-pointer " +
+                        (idx === sugIdx ? "bg-sky-50" : "hover:bg-slate-50")
+                      }
+                    >
+                      <div className="min-w-0">
+                        <div className="truncate">{p.nombre}</div>
+                        <div className="text-xs text-slate-500 font-mono">
+                          {p.ean}
+                        </div>
+                      </div>
+                      <div className="text-right shrink-0">
+                        <div className="font-semibold">
+                          {Number(p.precio) > 0 ? currency(p.precio) : "Precio manual"}
+                          {p.unidad === "kg" && (
+                            <span className="text-xs text-slate-500"> /kg</span>
+                          )}
+                        </div>
+                        {typeof p.stock === "number" && (
+                          <div
+                            className={
+                              "text-xs " +
+                              (p.stock <= 0 ? "text-red-600" : "text-slate-500")
+                            }
+                          >
+                            Stock: {formatQty(p.stock, p.unidad)}
+                          </div>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
             <button
               onClick={addByCode}
               className="px-3 py-2 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
             >
               Agregar
             </button>
+            <button
+              onClick={ponerEnEspera}
+              disabled={!items.length}
+              className="px-3 py-2 rounded-xl border border-amber-300 text-amber-800 hover:bg-amber-50 text-sm disabled:opacity-50"
+            >
+              Poner en espera
+            </button>
           </div>
+          {aviso && (
+            <div
+              className={
+                "flex items-center justify-between gap-2 mb-3 px-3 py-2 rounded-xl text-sm " +
+                (aviso.tipo === "ok"
+                  ? "bg-emerald-50 text-emerald-800 border border-emerald-200"
+                  : "bg-red-50 text-red-700 border border-red-200")
+              }
+            >
+              <span>{aviso.texto}</span>
+              <button
+                onClick={() => setAviso(null)}
+                className="text-xs hover:underline"
+              >
+                Cerrar
+              </button>
+            </div>
+          )}
+          {enEspera.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+              <span className="text-slate-600">En espera:</span>
+              {enEspera.map((c) => (
+                <span
+                  key={c.id}
+                  className="flex items-center gap-2 border border-amber-300 bg-amber-50 rounded-full pl-3 pr-2 py-1"
+                >
+                  <button
+                    onClick={() => retomar(c.id)}
+                    className="hover:underline"
+                    title={`Desde ${new Date(c.fecha).toLocaleTimeString("es-AR", {
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}`}
+                  >
+                    {c.etiqueta} · {(c.items || []).length} art. ·{" "}
+                    {currency(
+                      (c.items || []).reduce((a, i) => a + lineTotal(i), 0)
+                    )}
+                  </button>
+                  <button
+                    onClick={() => descartarEspera(c.id)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Descartar"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
           <div className="overflow-auto max-h-[40vh] border rounded-2xl bg-slate-50/40">
             <table className="w-full text-sm">
               <thead className="bg-slate-100 sticky top-0">
@@ -1184,26 +5579,67 @@ function NuevaVenta({ data, setData }) {
                 </tr>
               </thead>
               <tbody>
-                {items.map((i) => (
+                {itemsCalc.map((i) => (
                   <tr key={i.id} className="odd:bg-white even:bg-slate-50">
                     <td className="p-2 font-mono">{i.ean}</td>
-                    <td className="p-2">{i.nombre}</td>
-                    <td className="p-2 text-right">{currency(i.precio)}</td>
+                    <td className="p-2">
+                      {i.nombre}
+                      {i.promo && (
+                        <div className="text-xs text-fuchsia-700">
+                          Promo {i.promo.nombre} (−{currency(i.promo.monto)})
+                        </div>
+                      )}
+                      {i.descuento && (
+                        <div className="text-xs text-emerald-700">
+                          Desc. {describeDiscount(i.descuento)} (−
+                          {currency(
+                            discountAmount(i.descuento, linePromoBase(i))
+                          )}
+                          )
+                        </div>
+                      )}
+                    </td>
                     <td className="p-2 text-right">
-                      <input
-                        type="number"
-                        min={1}
-                        className="w-20 border rounded-lg px-2 py-1 text-right"
-                        value={i.qty}
-                        onChange={(e) =>
-                          setQty(i.id, parseInt(e.target.value || "1", 10))
-                        }
-                      />
+                      {currency(i.precio)}
+                      {i.unidad === "kg" && (
+                        <span className="text-xs text-slate-500"> /kg</span>
+                      )}
                     </td>
                     <td className="p-2 text-right">
-                      {currency(i.precio * i.qty)}
+                      {i.pesable ? (
+                        // Peso tomado de la etiqueta de balanza
+                        <span className="font-mono">
+                          {formatQty(i.qty, "kg")}
+                        </span>
+                      ) : i.unidad === "kg" ? (
+                        <button
+                          onClick={() => setKeypad({ itemId: i.id })}
+                          className="px-2 py-1 rounded-lg border font-mono hover:bg-slate-100"
+                        >
+                          {formatQty(i.qty, "kg")}
+                        </button>
+                      ) : (
+                        <input
+                          type="number"
+                          min={1}
+                          className="w-20 border rounded-lg px-2 py-1 text-right"
+                          value={i.qty}
+                          onChange={(e) =>
+                            setQty(i.id, parseInt(e.target.value || "1", 10))
+                          }
+                        />
+                      )}
                     </td>
                     <td className="p-2 text-right">
+                      {currency(lineTotal(i))}
+                    </td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => setDescEdit({ itemId: i.id })}
+                        className="text-emerald-700 hover:underline text-xs mr-3"
+                      >
+                        Desc.
+                      </button>
                       <button
                         onClick={() => remove(i.id)}
                         className="text-red-600 hover:underline text-xs"
@@ -1226,6 +5662,106 @@ function NuevaVenta({ data, setData }) {
               </tbody>
             </table>
           </div>
+
+          {descEdit && (
+            <DescuentoModal
+              title={
+                descEdit.ticket
+                  ? "Descuento al ticket"
+                  : `Descuento: ${
+                      items.find((i) => i.id === descEdit.itemId)?.nombre || ""
+                    }`
+              }
+              base={
+                descEdit.ticket
+                  ? subtotalLineas
+                  : linePromoBase(
+                      itemsCalc.find((i) => i.id === descEdit.itemId) || {}
+                    )
+              }
+              initial={
+                descEdit.ticket
+                  ? descTicket
+                  : items.find((i) => i.id === descEdit.itemId)?.descuento
+              }
+              onOk={aplicarDescuento}
+              onCancel={() => setDescEdit(null)}
+            />
+          )}
+
+          {keypad && (
+            <KeypadModal
+              title={
+                keypad.itemId
+                  ? items.find((i) => i.id === keypad.itemId)?.nombre
+                  : keypad.prod.nombre
+              }
+              initial={
+                keypad.itemId
+                  ? items.find((i) => i.id === keypad.itemId)?.qty
+                  : null
+              }
+              onOk={confirmarKeypad}
+              onCancel={() => {
+                setKeypad(null);
+                enfocarCodigo();
+              }}
+            />
+          )}
+
+          {dialogo && (
+            <PosDialog
+              key={dialogo.id}
+              titulo={dialogo.titulo}
+              mensaje={dialogo.mensaje}
+              campo={dialogo.campo}
+              okLabel={dialogo.okLabel}
+              onOk={cerrarDialogo}
+              onCancel={() => cerrarDialogo(null)}
+            />
+          )}
+
+          {clienteFiado && (
+            <ClienteFiadoModal
+              personas={data.fiados || []}
+              productos={data.productos}
+              settings={data.settings}
+              monto={total}
+              bloquear={fiadosCfg(data.settings).limite === "bloquear"}
+              onOk={cerrarClienteFiado}
+              onCancel={() => cerrarClienteFiado(null)}
+            />
+          )}
+
+          {ayudaAbierta && (
+            <div
+              className="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+              onClick={() => setAyudaAbierta(false)}
+            >
+              <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-5">
+                <h3 className="text-base font-semibold mb-3">
+                  Atajos del modo caja
+                </h3>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {POS_ATAJOS.map(([tecla, accion]) => (
+                      <tr key={tecla} className="border-t">
+                        <td className="py-1.5 pr-3 whitespace-nowrap">
+                          <kbd className="px-1.5 py-0.5 rounded border bg-slate-50 font-mono text-xs">
+                            {tecla}
+                          </kbd>
+                        </td>
+                        <td className="py-1.5 text-slate-700">{accion}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-slate-500 mt-3">
+                  F1, Esc o un clic fuera cierra esta ayuda.
+                </p>
+              </div>
+            </div>
+          )}
         </Section>
       </div>
       <div>
@@ -1243,6 +5779,9 @@ function NuevaVenta({ data, setData }) {
                   onChange={() => setMetodo("efectivo")}
                 />
                 Efectivo
+                {modoCaja && (
+                  <span className="ml-auto text-[10px] text-slate-400">F2</span>
+                )}
               </label>
               <label className="flex items-center gap-2 border rounded-xl p-2 text-xs md:text-sm">
                 <input
@@ -1252,6 +5791,9 @@ function NuevaVenta({ data, setData }) {
                   onChange={() => setMetodo("mercadopago")}
                 />
                 MercadoPago
+                {modoCaja && (
+                  <span className="ml-auto text-[10px] text-slate-400">F3</span>
+                )}
               </label>
               <label className="flex items-center gap-2 border rounded-xl p-2 text-xs md:text-sm">
                 <input
@@ -1261,6 +5803,9 @@ function NuevaVenta({ data, setData }) {
                   onChange={() => setMetodo("posnet")}
                 />
                 Posnet
+                {modoCaja && (
+                  <span className="ml-auto text-[10px] text-slate-400">F4</span>
+                )}
               </label>
               <label className="flex items-center gap-2 border rounded-xl p-2 text-xs md:text-sm">
                 <input
@@ -1270,9 +5815,70 @@ function NuevaVenta({ data, setData }) {
                   onChange={() => setMetodo("fiado")}
                 />
                 Fiado
+                {modoCaja && (
+                  <span className="ml-auto text-[10px] text-slate-400">F6</span>
+                )}
               </label>
             </div>
 
+            {metodo === "efectivo" && !multiPago && (
+              <div className="border rounded-xl p-2 bg-slate-50 space-y-2">
+                <div className="flex items-center gap-2">
+                  <label className="text-xs md:text-sm text-slate-600 shrink-0">
+                    Paga con
+                  </label>
+                  <input
+                    type="text"
+                    className="flex-1 min-w-0 border rounded-xl px-3 py-1.5 text-right"
+                    placeholder="$ 0,00"
+                    value={pagaCon}
+                    onChange={(e) => setPagaCon(e.target.value)}
+                  />
+                  {pagaCon && (
+                    <button
+                      onClick={() => setPagaCon("")}
+                      className="text-xs text-slate-500 hover:underline"
+                    >
+                      Borrar
+                    </button>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {BILLETES.map((b) => (
+                    <button
+                      key={b}
+                      onClick={() => sumarBillete(b)}
+                      className="px-2 py-1 rounded-lg border bg-white text-xs hover:bg-slate-100"
+                    >
+                      +{currency(b).replace(/,00$/, "")}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setPagaCon(String(total).replace(".", ","))}
+                    disabled={!total}
+                    className="px-2 py-1 rounded-lg border bg-white text-xs hover:bg-slate-100 disabled:opacity-50"
+                  >
+                    Justo
+                  </button>
+                </div>
+                {pagaConNum > 0 && (
+                  <div className="text-center">
+                    <div className="text-xs text-slate-500">
+                      {vuelto >= 0 ? "Vuelto" : "Falta"}
+                    </div>
+                    <div
+                      className={
+                        "text-3xl font-bold " +
+                        (vuelto >= 0 ? "text-emerald-700" : "text-red-600")
+                      }
+                    >
+                      {currency(Math.abs(vuelto))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             {metodo !== "fiado" && (
               <div className="flex items-center justify-between mt-2">
                 <label className="flex items-center gap-2 text-xs md:text-sm">
@@ -1284,7 +5890,12 @@ function NuevaVenta({ data, setData }) {
                       setPagosTemp([]);
                     }}
                   />
-                  <span>Venta con múltiples métodos de pago</span>
+                  <span>
+                    Venta con múltiples métodos de pago
+                    {modoCaja && (
+                      <span className="ml-1 text-[10px] text-slate-400">F8</span>
+                    )}
+                  </span>
                 </label>
               </div>
             )}
@@ -1365,6 +5976,45 @@ function NuevaVenta({ data, setData }) {
               </div>
             )}
 
+            <div className="border-t pt-2 space-y-1 text-sm">
+              {totalDescuentos > 0 && (
+                <div className="flex items-center justify-between text-slate-600">
+                  <span>Subtotal</span>
+                  <span>
+                    {currency(subtotalLineas + descuentoLineas + descuentoPromos)}
+                  </span>
+                </div>
+              )}
+              {descuentoPromos > 0 && (
+                <div className="flex items-center justify-between text-fuchsia-700">
+                  <span>Promociones</span>
+                  <span>−{currency(descuentoPromos)}</span>
+                </div>
+              )}
+              {descuentoLineas > 0 && (
+                <div className="flex items-center justify-between text-emerald-700">
+                  <span>Descuentos por artículo</span>
+                  <span>−{currency(descuentoLineas)}</span>
+                </div>
+              )}
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setDescEdit({ ticket: true })}
+                  disabled={!items.length}
+                  className="text-xs text-emerald-700 hover:underline disabled:text-slate-400"
+                >
+                  {descTicket
+                    ? `Descuento al ticket (${describeDiscount(descTicket)})`
+                    : "+ Descuento al ticket"}
+                </button>
+                {descTicket && (
+                  <span className="text-emerald-700">
+                    −{currency(descuentoTicketMonto)}
+                  </span>
+                )}
+              </div>
+            </div>
+
             <div className="flex items-center justify-between text-lg font-semibold pt-1">
               <span>Total</span>
               <span>{currency(total)}</span>
@@ -1378,11 +6028,52 @@ function NuevaVenta({ data, setData }) {
                 ? "Registrar fiado"
                 : "Registrar venta"}
             </button>
+            <div className="flex items-center justify-between text-xs">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!!ticketCfg.imprimirAlFinalizar}
+                  onChange={(e) =>
+                    setData((s) => ({
+                      ...s,
+                      settings: {
+                        ...(s.settings || {}),
+                        ticket: {
+                          ...((s.settings || {}).ticket || {}),
+                          imprimirAlFinalizar: e.target.checked,
+                        },
+                      },
+                    }))
+                  }
+                />
+                Imprimir ticket al registrar
+              </label>
+              <span className="flex gap-3">
+                {impresora.salida === "puente" && (
+                  <button
+                    onClick={abrirCajon}
+                    className="text-sky-700 hover:underline"
+                  >
+                    Abrir cajón
+                  </button>
+                )}
+                {ultimaVenta && (
+                  <button
+                    onClick={() => imprimirTicket(ultimaVenta)}
+                    className="text-sky-700 hover:underline"
+                  >
+                    Ticket de la última venta
+                  </button>
+                )}
+              </span>
+            </div>
           </div>
         </Section>
         <VentasRecientes
   ventas={data.ventas}
+  devoluciones={data.devoluciones}
   cierres={data.cierres || {}}
+  settings={data.settings}
   setData={setData}
 />
 
@@ -1392,12 +6083,175 @@ function NuevaVenta({ data, setData }) {
 }
 
 // ---- Ventas recientes ----
+// Devolución total o parcial de una venta (se permite aunque el día esté cerrado)
+function DevolucionModal({ venta, devoluciones, onOk, onCancel }) {
+  const netos = useMemo(() => ventaNetoUnitario(venta), [venta]);
+  const devuelto = useMemo(
+    () => devueltoPorItem(devoluciones, venta.id),
+    [devoluciones, venta.id]
+  );
+  const [cantidades, setCantidades] = useState({});
+  const [metodo, setMetodo] = useState(
+    ["efectivo", "mercadopago", "posnet"].includes(venta.metodo)
+      ? venta.metodo
+      : "efectivo"
+  );
+  const [motivo, setMotivo] = useState("");
+
+  const lineas = (venta.items || []).map((i) => {
+    const restante = roundQty((Number(i.qty) || 0) - (devuelto.get(i.id) || 0));
+    const raw = cantidades[i.id] || "";
+    // kg con decimales como en el teclado ("0,5" o "0.5"), no como dinero
+    const qty =
+      i.unidad === "kg"
+        ? roundQty(parseFloat(raw.replace(",", ".")))
+        : parseInt(raw, 10);
+    const cant = isFinite(qty) && qty > 0 ? qty : 0;
+    return {
+      item: i,
+      restante,
+      cant,
+      monto: Math.round((netos.get(i.id) || 0) * cant * 100) / 100,
+    };
+  });
+  const total =
+    Math.round(lineas.reduce((a, l) => a + l.monto, 0) * 100) / 100;
+
+  const ok = () => {
+    const elegidas = lineas.filter((l) => l.cant > 0);
+    if (!elegidas.length) {
+      alert("Indica la cantidad a devolver de al menos un artículo.");
+      return;
+    }
+    const excedida = elegidas.find((l) => l.cant > l.restante);
+    if (excedida) {
+      alert(
+        `No se puede devolver más de lo vendido: ${excedida.item.nombre} (quedan ${formatQty(
+          excedida.restante,
+          excedida.item.unidad
+        )}).`
+      );
+      return;
+    }
+    onOk({
+      metodo,
+      motivo: motivo.trim(),
+      total,
+      items: elegidas.map((l) => ({
+        itemId: l.item.id,
+        ean: l.item.ean,
+        nombre: l.item.nombre,
+        ...(l.item.unidad ? { unidad: l.item.unidad } : {}),
+        qty: l.cant,
+        monto: l.monto,
+      })),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg p-5">
+        <h3 className="text-base font-semibold mb-1">Devolución</h3>
+        <p className="text-xs text-slate-500 mb-3">
+          Venta del{" "}
+          {new Date(venta.fecha).toLocaleString("es-AR", {
+            dateStyle: "short",
+            timeStyle: "short",
+          })}
+          . El importe se calcula con lo cobrado (promociones y descuentos
+          incluidos).
+        </p>
+        <div className="max-h-[40vh] overflow-auto border rounded-xl mb-3">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="text-left p-2">Artículo</th>
+                <th className="text-right p-2">Disponible</th>
+                <th className="text-right p-2">Devolver</th>
+                <th className="text-right p-2">Importe</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lineas.map((l) => (
+                <tr key={l.item.id} className="odd:bg-white even:bg-slate-50">
+                  <td className="p-2">{l.item.nombre}</td>
+                  <td className="p-2 text-right">
+                    {formatQty(l.restante, l.item.unidad)}
+                  </td>
+                  <td className="p-2 text-right">
+                    <input
+                      className="w-20 border rounded-lg px-2 py-1 text-right"
+                      inputMode="decimal"
+                      placeholder="0"
+                      disabled={l.restante <= 0}
+                      value={cantidades[l.item.id] || ""}
+                      onChange={(e) =>
+                        setCantidades((c) => ({
+                          ...c,
+                          [l.item.id]: e.target.value,
+                        }))
+                      }
+                    />
+                  </td>
+                  <td className="p-2 text-right">{currency(l.monto)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap gap-2 mb-3">
+          <select
+            className="border rounded-xl px-3 py-2 text-sm"
+            value={metodo}
+            onChange={(e) => setMetodo(e.target.value)}
+          >
+            <option value="efectivo">Reintegro en efectivo</option>
+            <option value="mercadopago">Reintegro por MercadoPago</option>
+            <option value="posnet">Reintegro por Posnet</option>
+          </select>
+          <input
+            className="flex-1 border rounded-xl px-3 py-2 text-sm"
+            placeholder="Motivo (opcional)"
+            value={motivo}
+            onChange={(e) => setMotivo(e.target.value)}
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <span className="text-sm">
+            A reintegrar:{" "}
+            <span className="font-semibold text-red-600">
+              {currency(total)}
+            </span>
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={ok}
+              className="px-3 py-1.5 rounded-xl text-sm bg-red-600 text-white hover:bg-red-700"
+            >
+              Registrar devolución
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 const VentasRecientes = React.memo(function VentasRecientes({
   ventas,
+  devoluciones,
   cierres,
+  settings,
   setData,
 }) {
   const [limit, setLimit] = useState(50);
+  const [devolucionDe, setDevolucionDe] = useState(null); // venta
 
   const ventasMostradas = useMemo(() => {
     const arr = Array.isArray(ventas) ? ventas : [];
@@ -1421,12 +6275,46 @@ const VentasRecientes = React.memo(function VentasRecientes({
       alert("Esta venta pertenece a un día ya cerrado y no puede eliminarse.");
       return;
     }
+    if ((devoluciones || []).some((d) => d.ventaId === id)) {
+      alert("Esta venta tiene devoluciones registradas y no puede eliminarse.");
+      return;
+    }
+
+    if (!confirm("¿Eliminar esta venta? El stock de sus artículos se repone."))
+      return;
+    setData((s) => {
+      const target = (s.ventas || []).find((v) => v.id === id);
+      return {
+        ...s,
+        ventas: (s.ventas || []).filter((v) => v.id !== id),
+        productos: target
+          ? applyStockDelta(s.productos, target.items, +1)
+          : s.productos,
+      };
+    });
+  };
 
-    if (!confirm("¿Eliminar esta venta?")) return;
+  // La devolución es un documento propio: no modifica la venta original y
+  // entra en el cierre del día en que se registra.
+  const registrarDevolucion = ({ metodo, motivo, total, items }) => {
+    const venta = devolucionDe;
+    const devolucion = {
+      id: uid(),
+      fecha: new Date().toISOString(),
+      ventaId: venta.id,
+      ventaFecha: venta.fecha,
+      metodo,
+      ...(motivo ? { motivo } : {}),
+      total,
+      items,
+    };
     setData((s) => ({
       ...s,
-      ventas: (s.ventas || []).filter((v) => v.id !== id),
+      devoluciones: [devolucion, ...(s.devoluciones || [])],
+      productos: applyStockDelta(s.productos, items, +1),
     }));
+    setDevolucionDe(null);
+    alert(`Devolución registrada. Reintegrar ${currency(total)} (${metodo}).`);
   };
 
   const actualizarMetodo = (id, metodo) => {
@@ -1490,6 +6378,14 @@ const VentasRecientes = React.memo(function VentasRecientes({
               ? v.pagos.reduce((a, p) => a + (p.monto || 0), 0)
               : v.total;
 
+          const devolucionesVenta = (devoluciones || []).filter(
+            (d) => d.ventaId === v.id
+          );
+          const totalDevuelto = devolucionesVenta.reduce(
+            (a, d) => a + (d.total || 0),
+            0
+          );
+
           return (
             <div key={v.id} className="border rounded-xl p-3 bg-white">
               <div className="flex items-center justify-between text-sm text-slate-600 mb-2">
@@ -1498,6 +6394,9 @@ const VentasRecientes = React.memo(function VentasRecientes({
                     dateStyle: "short",
                     timeStyle: "short",
                   })}
+                  <span className="ml-2 font-mono text-xs text-slate-400">
+                    N° {ventaNumero(v)}
+                  </span>
                 </span>
 
                 {esMultipago ? (
@@ -1522,9 +6421,14 @@ const VentasRecientes = React.memo(function VentasRecientes({
                 {v.items.map((i) => (
                   <div key={i.id} className="flex items-center justify-between">
                     <span className="truncate mr-2">
-                      {i.nombre} x{i.qty}
+                      {i.nombre} x{formatQty(i.qty, i.unidad)}
+                      {i.promo && (
+                        <span className="text-xs text-fuchsia-700">
+                          {" "}· {i.promo.nombre}
+                        </span>
+                      )}
                     </span>
-                    <span>{currency(i.precio * i.qty)}</span>
+                    <span>{currency(lineTotal(i))}</span>
                   </div>
                 ))}
               </div>
@@ -1538,11 +6442,38 @@ const VentasRecientes = React.memo(function VentasRecientes({
                 </div>
               )}
 
+              {typeof v.pagaCon === "number" && (
+                <div className="mt-1 text-xs text-slate-600">
+                  Pagó con {currency(v.pagaCon)} · vuelto {currency(v.vuelto)}
+                </div>
+              )}
+
+              {v.descuentos > 0 && (
+                <div className="flex items-center justify-between text-xs text-emerald-700 mt-1">
+                  <span>
+                    Descuentos
+                    {v.promociones ? ` (promos: ${currency(v.promociones)})` : ""}
+                    {v.descuento ? ` (ticket: ${describeDiscount(v.descuento)})` : ""}
+                  </span>
+                  <span>−{currency(v.descuentos)}</span>
+                </div>
+              )}
+
               <div className="flex items-center justify-between mt-2 font-semibold">
                 <span>Total</span>
                 <span>{currency(totalVenta)}</span>
               </div>
 
+              {devolucionesVenta.length > 0 && (
+                <div className="flex items-center justify-between text-xs text-red-600 mt-1">
+                  <span>
+                    Devuelto ({devolucionesVenta.length}{" "}
+                    {devolucionesVenta.length === 1 ? "devolución" : "devoluciones"})
+                  </span>
+                  <span>−{currency(totalDevuelto)}</span>
+                </div>
+              )}
+
               <div className="flex justify-between items-center mt-2">
                 <button
                   onClick={() => eliminarVenta(v.id)}
@@ -1556,6 +6487,21 @@ const VentasRecientes = React.memo(function VentasRecientes({
                 >
                   Eliminar venta
                 </button>
+                <button
+                  onClick={() => setDevolucionDe(v)}
+                  className="text-xs text-amber-700 hover:underline"
+                >
+                  Devolución
+                </button>
+                <button
+                  onClick={async () => {
+                    const r = await imprimirVenta(v, settings);
+                    if (!r.ok) alert(`No se pudo imprimir el ticket: ${r.error}`);
+                  }}
+                  className="text-xs text-sky-700 hover:underline"
+                >
+                  Reimprimir ticket
+                </button>
                 {bloqueada && (
                   <span className="text-[11px] text-slate-500">
                     Bloqueada por cierre definitivo
@@ -1566,18 +6512,459 @@ const VentasRecientes = React.memo(function VentasRecientes({
           );
         })}
 
-        {(ventas || []).length > limit && (
+        {(ventas || []).length > limit && (
+          <button
+            onClick={() => setLimit((n) => n + 50)}
+            className="w-full mt-2 px-3 py-2 rounded-xl border hover:bg-slate-50 text-sm"
+          >
+            Cargar 50 más
+          </button>
+        )}
+      </div>
+
+      {devolucionDe && (
+        <DevolucionModal
+          venta={devolucionDe}
+          devoluciones={devoluciones}
+          onOk={registrarDevolucion}
+          onCancel={() => setDevolucionDe(null)}
+        />
+      )}
+    </Section>
+  );
+});
+
+// ---- Promociones ----
+const PROMO_VACIA = {
+  nombre: "",
+  tipo: "nxm",
+  alcance: "eans",
+  eans: "",
+  categoria: "",
+  lleva: "2",
+  paga: "1",
+  porcentaje: "50",
+  precioCombo: "",
+  desde: "",
+  hasta: "",
+  dias: [],
+};
+
+function Promociones({ data, setData }) {
+  const promociones = data.promociones || [];
+  const categorias = listCategorias(data.productos || []);
+  const [form, setForm] = useState(PROMO_VACIA);
+  const [editId, setEditId] = useState(null);
+
+  const set = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  const toggleDia = (d) =>
+    setForm((f) => ({
+      ...f,
+      dias: f.dias.includes(d)
+        ? f.dias.filter((x) => x !== d)
+        : [...f.dias, d].sort(),
+    }));
+
+  const editar = (promo) => {
+    setEditId(promo.id);
+    setForm({
+      ...PROMO_VACIA,
+      ...promo,
+      alcance:
+        promo.tipo === "combo" || (promo.eans || []).length ? "eans" : "categoria",
+      eans: (promo.eans || []).join(", "),
+      lleva: String(promo.lleva ?? PROMO_VACIA.lleva),
+      paga: String(promo.paga ?? PROMO_VACIA.paga),
+      porcentaje: String(promo.porcentaje ?? PROMO_VACIA.porcentaje),
+      precioCombo: promo.precioCombo != null ? String(promo.precioCombo) : "",
+      dias: promo.dias || [],
+    });
+  };
+
+  const cancelar = () => {
+    setEditId(null);
+    setForm(PROMO_VACIA);
+  };
+
+  const guardar = () => {
+    const nombre = form.nombre.trim();
+    if (!nombre) return alert("Ingresa un nombre para la promoción.");
+
+    const porEAN = form.tipo === "combo" || form.alcance === "eans";
+    const eans = porEAN
+      ? form.eans
+          .split(/[\s,;]+/)
+          .map((e) => normalizeEAN(e.trim()))
+          .filter(Boolean)
+      : [];
+    if (porEAN && !eans.length) {
+      return alert("Ingresa al menos un código EAN.");
+    }
+    if (form.tipo === "combo" && eans.length < 2) {
+      return alert("Un combo necesita al menos dos códigos EAN.");
+    }
+    if (!porEAN && !form.categoria) {
+      return alert("Selecciona una categoría.");
+    }
+    const desconocidos = eans.filter(
+      (e) => !(data.productos || []).some((p) => sameEAN(p.ean, e))
+    );
+    if (
+      desconocidos.length &&
+      !confirm(
+        `Estos códigos no están en el catálogo:\n${desconocidos.join(
+          ", "
+        )}\n\n¿Guardar igual?`
+      )
+    ) {
+      return;
+    }
+
+    const lleva = parseInt(form.lleva, 10);
+    const paga = parseInt(form.paga, 10);
+    const porcentaje = parseFloat(String(form.porcentaje).replace(",", ".")) || 0;
+    const precioCombo = parseMoneyInput(form.precioCombo);
+
+    if (form.tipo === "nxm" && !(lleva >= 2 && paga >= 1 && paga < lleva)) {
+      return alert("En NxM, 'lleva' debe ser mayor que 'paga' (ej: 3x2).");
+    }
+    if (form.tipo === "segunda" && !(lleva >= 2)) {
+      return alert("La unidad bonificada debe ser la 2ª o posterior.");
+    }
+    if (
+      (form.tipo === "segunda" || form.tipo === "porcentaje") &&
+      !(porcentaje > 0 && porcentaje <= 100)
+    ) {
+      return alert("Ingresa un porcentaje entre 1 y 100.");
+    }
+    if (form.tipo === "combo" && !(precioCombo > 0)) {
+      return alert("Ingresa el precio del combo.");
+    }
+    if (form.desde && form.hasta && form.desde > form.hasta) {
+      return alert("La fecha 'desde' no puede ser posterior a 'hasta'.");
+    }
+
+    const promo = {
+      id: editId || uid(),
+      nombre,
+      tipo: form.tipo,
+      activa: editId
+        ? promociones.find((p) => p.id === editId)?.activa !== false
+        : true,
+      eans,
+      categoria: porEAN ? "" : form.categoria,
+      ...(form.tipo === "nxm" ? { lleva, paga } : {}),
+      ...(form.tipo === "segunda" ? { lleva, porcentaje } : {}),
+      ...(form.tipo === "porcentaje" ? { porcentaje } : {}),
+      ...(form.tipo === "combo" ? { precioCombo } : {}),
+      desde: form.desde,
+      hasta: form.hasta,
+      dias: form.dias,
+    };
+
+    setData((s) => {
+      const actuales = s.promociones || [];
+      return {
+        ...s,
+        promociones: editId
+          ? actuales.map((p) => (p.id === editId ? promo : p))
+          : [...actuales, promo],
+      };
+    });
+    cancelar();
+  };
+
+  const actualizar = (id, fn) =>
+    setData((s) => ({
+      ...s,
+      promociones: (s.promociones || []).map((p) => (p.id === id ? fn(p) : p)),
+    }));
+
+  const eliminar = (id) => {
+    if (!confirm("¿Eliminar esta promoción?")) return;
+    setData((s) => ({
+      ...s,
+      promociones: (s.promociones || []).filter((p) => p.id !== id),
+    }));
+    if (editId === id) cancelar();
+  };
+
+  // El orden define la prioridad cuando un artículo entra en varias promos
+  const subir = (idx) => {
+    if (idx === 0) return;
+    setData((s) => {
+      const arr = [...(s.promociones || [])];
+      [arr[idx - 1], arr[idx]] = [arr[idx], arr[idx - 1]];
+      return { ...s, promociones: arr };
+    });
+  };
+
+  const hoy = new Date().toISOString();
+
+  return (
+    <Section
+      title="Promociones"
+      desc="Se aplican solas en Nueva venta cuando el carrito cumple la condición. Cada artículo recibe una sola promoción: manda el orden de la lista."
+      right={
+        <div className="flex gap-2">
+          {editId && (
+            <button
+              onClick={cancelar}
+              className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
+            >
+              Cancelar
+            </button>
+          )}
           <button
-            onClick={() => setLimit((n) => n + 50)}
-            className="w-full mt-2 px-3 py-2 rounded-xl border hover:bg-slate-50 text-sm"
+            onClick={guardar}
+            className="px-3 py-1.5 rounded-xl border border-slate-300 hover:bg-slate-50 text-sm"
           >
-            Cargar 50 más
+            {editId ? "Guardar cambios" : "+ Agregar"}
           </button>
+        </div>
+      }
+    >
+      <div className="grid md:grid-cols-4 gap-3 mb-4 text-sm">
+        <input
+          className="border rounded-xl px-3 py-2"
+          placeholder="Nombre (ej: 2x1 gaseosas)"
+          value={form.nombre}
+          onChange={(e) => set("nombre", e.target.value)}
+        />
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={form.tipo}
+          onChange={(e) => set("tipo", e.target.value)}
+        >
+          {Object.entries(PROMO_TIPOS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {form.tipo === "nxm" && (
+          <div className="flex items-center gap-2">
+            <span>Lleva</span>
+            <input
+              type="number"
+              min={2}
+              className="w-16 border rounded-xl px-2 py-2 text-right"
+              value={form.lleva}
+              onChange={(e) => set("lleva", e.target.value)}
+            />
+            <span>paga</span>
+            <input
+              type="number"
+              min={1}
+              className="w-16 border rounded-xl px-2 py-2 text-right"
+              value={form.paga}
+              onChange={(e) => set("paga", e.target.value)}
+            />
+          </div>
+        )}
+        {form.tipo === "segunda" && (
+          <div className="flex items-center gap-2">
+            <span>Unidad</span>
+            <input
+              type="number"
+              min={2}
+              className="w-16 border rounded-xl px-2 py-2 text-right"
+              value={form.lleva}
+              onChange={(e) => set("lleva", e.target.value)}
+            />
+            <span>con</span>
+            <input
+              className="w-16 border rounded-xl px-2 py-2 text-right"
+              value={form.porcentaje}
+              onChange={(e) => set("porcentaje", e.target.value)}
+            />
+            <span>% off</span>
+          </div>
+        )}
+        {form.tipo === "porcentaje" && (
+          <div className="flex items-center gap-2">
+            <input
+              className="w-20 border rounded-xl px-2 py-2 text-right"
+              value={form.porcentaje}
+              onChange={(e) => set("porcentaje", e.target.value)}
+            />
+            <span>% de descuento</span>
+          </div>
+        )}
+        {form.tipo === "combo" && (
+          <input
+            className="border rounded-xl px-3 py-2"
+            placeholder="Precio del combo (ej: 2500)"
+            value={form.precioCombo}
+            onChange={(e) => set("precioCombo", e.target.value)}
+          />
+        )}
+
+        {form.tipo === "combo" ? (
+          <div className="self-center text-xs text-slate-500">
+            Una unidad de cada código forma un combo.
+          </div>
+        ) : (
+          <select
+            className="border rounded-xl px-3 py-2"
+            value={form.alcance}
+            onChange={(e) => set("alcance", e.target.value)}
+          >
+            <option value="eans">Por lista de códigos</option>
+            <option value="categoria">Por categoría</option>
+          </select>
+        )}
+
+        {form.tipo === "combo" || form.alcance === "eans" ? (
+          <input
+            className="md:col-span-2 border rounded-xl px-3 py-2 font-mono"
+            placeholder="Códigos EAN separados por coma"
+            value={form.eans}
+            onChange={(e) => set("eans", e.target.value)}
+          />
+        ) : (
+          <select
+            className="md:col-span-2 border rounded-xl px-3 py-2"
+            value={form.categoria}
+            onChange={(e) => set("categoria", e.target.value)}
+          >
+            <option value="">Categoría…</option>
+            {categorias.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
         )}
+
+        <label className="flex items-center gap-2">
+          <span className="text-slate-600">Desde</span>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={form.desde}
+            onChange={(e) => set("desde", e.target.value)}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-slate-600">Hasta</span>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={form.hasta}
+            onChange={(e) => set("hasta", e.target.value)}
+          />
+        </label>
+        <div className="md:col-span-2 flex flex-wrap items-center gap-2">
+          <span className="text-slate-600">Días</span>
+          {DIAS_SEMANA.map((d, idx) => (
+            <label key={d} className="flex items-center gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={form.dias.includes(idx)}
+                onChange={() => toggleDia(idx)}
+              />
+              {d}
+            </label>
+          ))}
+          <span className="text-xs text-slate-500">(ninguno = todos)</span>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-[50vh] border rounded-2xl bg-slate-50/40">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100 sticky top-0">
+            <tr>
+              <th className="text-left p-2">Prioridad</th>
+              <th className="text-left p-2">Nombre</th>
+              <th className="text-left p-2">Regla</th>
+              <th className="text-left p-2">Alcance</th>
+              <th className="text-left p-2">Vigencia</th>
+              <th className="text-left p-2">Estado</th>
+              <th className="text-right p-2">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promociones.map((p, idx) => (
+              <tr key={p.id} className="odd:bg-white even:bg-slate-50">
+                <td className="p-2">
+                  {idx + 1}
+                  {idx > 0 && (
+                    <button
+                      onClick={() => subir(idx)}
+                      className="ml-2 text-sky-700 hover:underline text-xs"
+                    >
+                      ↑
+                    </button>
+                  )}
+                </td>
+                <td className="p-2">{p.nombre}</td>
+                <td className="p-2">{describePromo(p)}</td>
+                <td className="p-2 text-xs">
+                  {(p.eans || []).length ? (
+                    <span className="font-mono">{p.eans.join(", ")}</span>
+                  ) : (
+                    `Categoría: ${p.categoria}`
+                  )}
+                </td>
+                <td className="p-2 text-xs">
+                  {p.desde || p.hasta
+                    ? `${p.desde || "…"} → ${p.hasta || "…"}`
+                    : "Sin fechas"}
+                  {(p.dias || []).length > 0 && (
+                    <div>{p.dias.map((d) => DIAS_SEMANA[d]).join(" ")}</div>
+                  )}
+                </td>
+                <td className="p-2">
+                  <label className="flex items-center gap-1 text-xs">
+                    <input
+                      type="checkbox"
+                      checked={p.activa !== false}
+                      onChange={(e) =>
+                        actualizar(p.id, (x) => ({
+                          ...x,
+                          activa: e.target.checked,
+                        }))
+                      }
+                    />
+                    {p.activa === false
+                      ? "Pausada"
+                      : promoVigente(p, hoy)
+                      ? "Vigente hoy"
+                      : "Fuera de vigencia"}
+                  </label>
+                </td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => editar(p)}
+                    className="text-sky-700 hover:underline text-xs mr-3"
+                  >
+                    Editar
+                  </button>
+                  <button
+                    onClick={() => eliminar(p.id)}
+                    className="text-red-600 hover:underline text-xs"
+                  >
+                    Eliminar
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {!promociones.length && (
+              <tr>
+                <td colSpan={7} className="p-6 text-center text-slate-500">
+                  Aún no hay promociones cargadas
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
       </div>
     </Section>
   );
-});
+}
 
 // ---- Compras / Gastos ----
 function ComprasGastos({ data, setData }) {
@@ -1842,6 +7229,21 @@ function CierreDiario({ data, setData }) {
       ? ventasAsignadas
       : [...ventasAsignadas, ...ventasSinAsignar];
 
+    // Devoluciones: mismo criterio que las ventas (se acumulan hasta el
+    // cierre), sin importar si el día de la venta original ya está cerrado.
+    const devoluciones = data.devoluciones || [];
+    const devolucionesDia = devoluciones.filter((d) =>
+      cerrado ? d.cierreFecha === fecha : !d.cierreFecha || d.cierreFecha === fecha
+    );
+    const devueltoPor = (metodo) =>
+      devolucionesDia
+        .filter((d) => d.metodo === metodo)
+        .reduce((a, d) => a + (d.total || 0), 0);
+    const totalDevoluciones = devolucionesDia.reduce(
+      (a, d) => a + (d.total || 0),
+      0
+    );
+
     const d0 = new Date(fecha + "T00:00:00").getTime();
     const d1 = new Date(fecha + "T23:59:59.999").getTime();
 
@@ -1861,7 +7263,7 @@ function CierreDiario({ data, setData }) {
           );
         }
         return a + (v.metodo === metodo ? (v.total || 0) : 0);
-      }, 0);
+      }, 0) - devueltoPor(metodo);
 
     const totalVentas = ventasDia.reduce((a, v) => {
       if (Array.isArray(v.pagos) && v.pagos.length) {
@@ -1871,7 +7273,7 @@ function CierreDiario({ data, setData }) {
         );
       }
       return a + (v.total || 0);
-    }, 0);
+    }, 0) - totalDevoluciones;
 
     const totalCompras = gastosDia
       .filter((g) => g.tipo === "compra")
@@ -1884,9 +7286,27 @@ function CierreDiario({ data, setData }) {
     const totalEgresos = totalCompras + totalGastos;
     const netoDia = totalVentas - totalEgresos;
 
+    const totalDescuentos = ventasDia.reduce(
+      (a, v) => a + (Number(v.descuentos) || 0),
+      0
+    );
+
+    // Control de caja: ventas en efectivo con "paga con" registrado
+    const conPagaCon = ventasDia.filter((v) => typeof v.pagaCon === "number");
+    const control = {
+      ventas: conPagaCon.length,
+      recibido: conPagaCon.reduce((a, v) => a + v.pagaCon, 0),
+      vuelto: conPagaCon.reduce((a, v) => a + (Number(v.vuelto) || 0), 0),
+      cobrado: conPagaCon.reduce((a, v) => a + (v.total || 0), 0),
+    };
+
     return {
       ventasDia,
+      devolucionesDia,
+      control,
       gastosDia,
+      totalDescuentos,
+      totalDevoluciones,
       porMetodo: {
         efectivo: sumVentas("efectivo"),
         mercadopago: sumVentas("mercadopago"),
@@ -1898,7 +7318,7 @@ function CierreDiario({ data, setData }) {
       totalEgresos,
       netoDia,
     };
-  }, [data.ventas, data.gastos, fecha, cerrado]);
+  }, [data.ventas, data.devoluciones, data.gastos, fecha, cerrado]);
 
   const prevDateStr = useMemo(() => {
     const d = new Date(fecha + "T00:00:00");
@@ -1974,11 +7394,15 @@ function CierreDiario({ data, setData }) {
       const ventasConCierre = (s.ventas || []).map((v) =>
         v.cierreFecha ? v : { ...v, cierreFecha: v.cierreFecha || fecha }
       );
+      const devolucionesConCierre = (s.devoluciones || []).map((d) =>
+        d.cierreFecha ? d : { ...d, cierreFecha: fecha }
+      );
 
       return {
         ...s,
         cierres: cierresNuevos,
         ventas: ventasConCierre,
+        devoluciones: devolucionesConCierre,
       };
     });
     alert(
@@ -2009,17 +7433,39 @@ function CierreDiario({ data, setData }) {
       const ventasReabiertas = (s.ventas || []).map((v) =>
         v.cierreFecha === fecha ? { ...v, cierreFecha: undefined } : v
       );
+      const devolucionesReabiertas = (s.devoluciones || []).map((d) =>
+        d.cierreFecha === fecha ? { ...d, cierreFecha: undefined } : d
+      );
 
       return {
         ...s,
         cierres: cierresNuevos,
         ventas: ventasReabiertas,
+        devoluciones: devolucionesReabiertas,
       };
     });
 
     alert("Día reabierto. Ahora puedes seguir registrando ventas y editar el efectivo.");
   };
 
+  // Comprobante del cierre para la impresora térmica
+  const imprimirCierreEscPos = async () => {
+    const bytes = cierreEscPos(
+      fecha,
+      resumen,
+      {
+        cerrado,
+        cajaAnterior: dineroCajaDiaAnterior,
+        cajaProxDia: efectivoCajaNum,
+        pedidosYa: efectivoPedidosYaNum,
+        disponible: efectivoTotalDisponible,
+      },
+      data.settings
+    );
+    const r = await enviarEscPos(bytes, `cierre-${fecha}`, data.settings);
+    if (!r.ok) alert(`No se pudo imprimir el cierre: ${r.error}`);
+  };
+
   return (
     <Section
       title="Cierre diario"
@@ -2052,6 +7498,15 @@ function CierreDiario({ data, setData }) {
           >
             Imprimir / PDF
           </button>
+          {/* Con salida "navegador" ya está Imprimir / PDF */}
+          {impresoraCfg(data.settings).salida !== "navegador" && (
+            <button
+              onClick={imprimirCierreEscPos}
+              className="px-3 py-1.5 rounded-xl border hover:bg-slate-50 text-xs md:text-sm"
+            >
+              Ticket térmico
+            </button>
+          )}
         </div>
       }
     >
@@ -2106,6 +7561,14 @@ function CierreDiario({ data, setData }) {
           label="Dinero en caja (día anterior)"
           value={currency(dineroCajaDiaAnterior)}
         />
+        <CardStat
+          label="Descuentos otorgados"
+          value={currency(resumen.totalDescuentos)}
+        />
+        <CardStat
+          label="Devoluciones (ya restadas)"
+          value={currency(-resumen.totalDevoluciones)}
+        />
         <CardStat
           label="Efectivo Total Disponible"
           value={currency(efectivoTotalDisponible)}
@@ -2113,6 +7576,41 @@ function CierreDiario({ data, setData }) {
         />
       </div>
 
+      {resumen.control.ventas > 0 && (
+        <div className="border rounded-2xl p-4 bg-white mb-6 text-sm">
+          <div className="font-semibold text-slate-700 mb-2">
+            Control de efectivo ({resumen.control.ventas}{" "}
+            {resumen.control.ventas === 1 ? "venta" : "ventas"} con “paga con”)
+          </div>
+          <div className="grid md:grid-cols-4 gap-2">
+            <div>
+              Recibido:{" "}
+              <span className="font-semibold">
+                {currency(resumen.control.recibido)}
+              </span>
+            </div>
+            <div>
+              Vueltos entregados:{" "}
+              <span className="font-semibold">
+                {currency(resumen.control.vuelto)}
+              </span>
+            </div>
+            <div>
+              Recibido − vueltos:{" "}
+              <span className="font-semibold">
+                {currency(resumen.control.recibido - resumen.control.vuelto)}
+              </span>
+            </div>
+            <div>
+              Cobrado en esas ventas:{" "}
+              <span className="font-semibold">
+                {currency(resumen.control.cobrado)}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="grid md:grid-cols-2 gap-4 mb-6">
         <div className="border rounded-2xl p-4 bg-white">
           <label className="block text-sm text-slate-700 mb-1">
@@ -2267,7 +7765,29 @@ function CierreDiario({ data, setData }) {
                 </tr>
               );
             })}
-            {!resumen.ventasDia.length && (
+            {resumen.devolucionesDia.map((d) => (
+              <tr key={d.id} className="bg-red-50 text-red-700">
+                <td className="p-2">
+                  {new Date(d.fecha).toLocaleTimeString("es-AR", {
+                    hour: "2-digit",
+                    minute: "2-digit",
+                  })}
+                </td>
+                <td className="p-2">
+                  <span className="uppercase">Devolución · {d.metodo}</span>
+                  <div className="text-xs">
+                    Venta del{" "}
+                    {new Date(d.ventaFecha).toLocaleDateString("es-AR")}:{" "}
+                    {d.items
+                      .map((i) => `${i.nombre} x${formatQty(i.qty, i.unidad)}`)
+                      .join(", ")}
+                    {d.motivo ? ` · ${d.motivo}` : ""}
+                  </div>
+                </td>
+                <td className="p-2 text-right">−{currency(d.total)}</td>
+              </tr>
+            ))}
+            {!resumen.ventasDia.length && !resumen.devolucionesDia.length && (
               <tr>
                 <td colSpan={3} className="p-6 text-center text-slate-500">
                   Sin ventas en esta fecha / cierre
@@ -2314,14 +7834,336 @@ function CierreDiario({ data, setData }) {
             ))}
             {!resumen.gastosDia.length && (
               <tr>
-                <td colSpan={5} className="p-6 text-center text-slate-500">
-                  Sin compras ni gastos en esta fecha
+                <td colSpan={5} className="p-6 text-center text-slate-500">
+                  Sin compras ni gastos en esta fecha
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </Section>
+  );
+}
+
+// ---- Libro de ventas ----
+const METODOS_VENTA = [
+  ["efectivo", "Efectivo"],
+  ["mercadopago", "MercadoPago"],
+  ["posnet", "Posnet"],
+];
+
+const pagosDeVenta = (v) =>
+  Array.isArray(v.pagos) && v.pagos.length
+    ? v.pagos
+    : [{ metodo: v.metodo, monto: v.total }];
+
+function LibroVentas({ data }) {
+  const todayISO = new Date().toISOString().slice(0, 10);
+  const [desde, setDesde] = useState(todayISO);
+  const [hasta, setHasta] = useState(todayISO);
+  const [metodo, setMetodo] = useState("");
+  const [montoMin, setMontoMin] = useState("");
+  const [montoMax, setMontoMax] = useState("");
+  const [ean, setEan] = useState("");
+  const [numero, setNumero] = useState("");
+  const [limit, setLimit] = useState(200);
+
+  const cierres = data.cierres || {};
+
+  const devueltoPorVenta = useMemo(() => {
+    const map = new Map();
+    for (const d of data.devoluciones || []) {
+      map.set(d.ventaId, (map.get(d.ventaId) || 0) + (d.total || 0));
+    }
+    return map;
+  }, [data.devoluciones]);
+
+  // Números sin venta entre el primero y el último asignado (ventas eliminadas)
+  const faltantes = useMemo(() => {
+    const usados = new Set(
+      (data.ventas || []).map((v) => Number(v.numero)).filter(Boolean)
+    );
+    if (!usados.size) return [];
+    const primero = [...usados].reduce((a, n) => Math.min(a, n), Infinity);
+    const ultimo = ultimoNumeroVenta(data);
+    const out = [];
+    for (let n = primero; n <= ultimo; n++) if (!usados.has(n)) out.push(n);
+    return out;
+  }, [data]);
+
+  const filtradas = useMemo(() => {
+    const min = montoMin.trim() ? parseMoneyInput(montoMin) : null;
+    const max = montoMax.trim() ? parseMoneyInput(montoMax) : null;
+    const codigo = ean.trim();
+    const num = numero.trim().toUpperCase();
+
+    return (data.ventas || []).filter((v) => {
+      const dia = periodKey(v.fecha, "dia");
+      if (desde && dia < desde) return false;
+      if (hasta && dia > hasta) return false;
+      if (metodo && !pagosDeVenta(v).some((p) => p.metodo === metodo)) return false;
+      if (min != null && (v.total || 0) < min) return false;
+      if (max != null && (v.total || 0) > max) return false;
+      if (
+        codigo &&
+        !(v.items || []).some(
+          (i) => sameEAN(i.ean, codigo) || String(i.ean || "").includes(codigo)
+        )
+      )
+        return false;
+      if (num) {
+        if (/^\d+$/.test(num)) return Number(v.numero) === Number(num);
+        return String(v.id).toUpperCase().startsWith(num);
+      }
+      return true;
+    });
+  }, [data.ventas, desde, hasta, metodo, montoMin, montoMax, ean, numero]);
+
+  const totales = useMemo(
+    () => ({
+      total: filtradas.reduce((a, v) => a + (v.total || 0), 0),
+      devuelto: filtradas.reduce((a, v) => a + (devueltoPorVenta.get(v.id) || 0), 0),
+    }),
+    [filtradas, devueltoPorVenta]
+  );
+
+  const limpiarFiltros = () => {
+    setDesde("");
+    setHasta("");
+    setMetodo("");
+    setMontoMin("");
+    setMontoMax("");
+    setEan("");
+    setNumero("");
+  };
+
+  const estadoCierre = (v) =>
+    v.cierreFecha && cierres[v.cierreFecha]?.cerrado
+      ? `Cerrada ${v.cierreFecha}`
+      : "Abierta";
+
+  const exportCSV = () => {
+    if (!filtradas.length) {
+      alert("No hay ventas para exportar con los filtros actuales.");
+      return;
+    }
+    const bom = "\uFEFF";
+    const sep = ";";
+    const q = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const lines = [
+      ["Número", "Fecha", "Hora", "Métodos", "Artículos", "Subtotal", "Descuentos", "Total", "Devuelto", "Cierre"].join(sep),
+      ...filtradas.map((v) => {
+        const f = new Date(v.fecha);
+        return [
+          q(ventaNumero(v)),
+          f.toLocaleDateString("es-AR"),
+          f.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" }),
+          q(pagosDeVenta(v).map((p) => `${p.metodo} ${p.monto}`).join(" + ")),
+          q(
+            (v.items || [])
+              .map((i) => `${formatQty(i.qty, i.unidad)} x ${i.nombre} (${i.ean})`)
+              .join(" | ")
+          ),
+          v.subtotal ?? v.total,
+          Number(v.descuentos) || 0,
+          v.total,
+          devueltoPorVenta.get(v.id) || 0,
+          q(estadoCierre(v)),
+        ].join(sep);
+      }),
+    ];
+    download(
+      `libro-ventas-${desde || "inicio"}-a-${hasta || "hoy"}.csv`,
+      bom + lines.join("\n")
+    );
+  };
+
+  return (
+    <Section
+      title="Libro de ventas"
+      desc="Todas las ventas registradas con número correlativo. Filtra por fecha, método de pago, importe, producto o número de ticket."
+      right={
+        <button
+          onClick={exportCSV}
+          className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+        >
+          Exportar Excel (CSV)
+        </button>
+      }
+    >
+      <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">Desde</label>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={desde}
+            onChange={(e) => setDesde(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">Hasta</label>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={hasta}
+            onChange={(e) => setHasta(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">Método</label>
+          <select
+            className="border rounded-xl px-3 py-2"
+            value={metodo}
+            onChange={(e) => setMetodo(e.target.value)}
+          >
+            <option value="">Todos</option>
+            {METODOS_VENTA.map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">Importe entre</label>
+          <div className="flex items-center gap-1">
+            <input
+              className="border rounded-xl px-3 py-2 w-24"
+              placeholder="mín."
+              value={montoMin}
+              onChange={(e) => setMontoMin(e.target.value)}
+            />
+            <span>y</span>
+            <input
+              className="border rounded-xl px-3 py-2 w-24"
+              placeholder="máx."
+              value={montoMax}
+              onChange={(e) => setMontoMax(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">EAN del producto</label>
+          <input
+            className="border rounded-xl px-3 py-2 w-40"
+            value={ean}
+            onChange={(e) => setEan(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <label className="text-slate-700">N° de venta</label>
+          <input
+            className="border rounded-xl px-3 py-2 w-28"
+            placeholder="Ej: 1532"
+            value={numero}
+            onChange={(e) => setNumero(e.target.value)}
+          />
+        </div>
+        <button
+          onClick={limpiarFiltros}
+          className="px-3 py-2 rounded-xl border hover:bg-slate-50"
+        >
+          Limpiar filtros
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-slate-700 mb-3">
+        <span>
+          Ventas: <span className="font-semibold">{filtradas.length}</span>
+        </span>
+        <span>
+          Total: <span className="font-semibold">{currency(totales.total)}</span>
+        </span>
+        {totales.devuelto > 0 && (
+          <span className="text-red-700">
+            Devuelto: {currency(totales.devuelto)}
+          </span>
+        )}
+      </div>
+
+      {faltantes.length > 0 && (
+        <p className="text-xs text-amber-700 mb-3">
+          Números sin venta (eliminadas): {faltantes.slice(0, 20).join(", ")}
+          {faltantes.length > 20 ? ` y ${faltantes.length - 20} más` : ""}
+        </p>
+      )}
+
+      <div className="overflow-auto max-h-[60vh] border rounded-2xl bg-slate-50/40">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100 sticky top-0">
+            <tr>
+              <th className="text-left p-2">N°</th>
+              <th className="text-left p-2">Fecha</th>
+              <th className="text-left p-2">Artículos</th>
+              <th className="text-left p-2">Pagos</th>
+              <th className="text-right p-2">Total</th>
+              <th className="text-left p-2">Cierre</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtradas.slice(0, limit).map((v) => {
+              const devuelto = devueltoPorVenta.get(v.id) || 0;
+              return (
+                <tr key={v.id} className="odd:bg-white even:bg-slate-50 align-top">
+                  <td className="p-2 font-mono whitespace-nowrap">
+                    {ventaNumero(v)}
+                  </td>
+                  <td className="p-2 whitespace-nowrap">
+                    {new Date(v.fecha).toLocaleString("es-AR", {
+                      dateStyle: "short",
+                      timeStyle: "short",
+                    })}
+                  </td>
+                  <td className="p-2 text-xs">
+                    {(v.items || []).map((i, idx) => (
+                      <div key={idx} className="truncate max-w-[24rem]">
+                        {formatQty(i.qty, i.unidad)} × {i.nombre}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="p-2 text-xs whitespace-nowrap">
+                    {pagosDeVenta(v).map((p, idx) => (
+                      <div key={idx}>
+                        {p.metodo}: {currency(p.monto)}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="p-2 text-right whitespace-nowrap">
+                    <div className="font-semibold">{currency(v.total)}</div>
+                    {devuelto > 0 && (
+                      <div className="text-xs text-red-700">
+                        Devuelto {currency(devuelto)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="p-2 text-xs whitespace-nowrap">
+                    {estadoCierre(v)}
+                  </td>
+                </tr>
+              );
+            })}
+            {!filtradas.length && (
+              <tr>
+                <td colSpan={6} className="p-6 text-center text-slate-500">
+                  No hay ventas con los filtros seleccionados
                 </td>
               </tr>
             )}
           </tbody>
         </table>
       </div>
+      {filtradas.length > limit && (
+        <div className="mt-3 text-center">
+          <button
+            onClick={() => setLimit((l) => l + 200)}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Mostrar más ({filtradas.length - limit} restantes)
+          </button>
+        </div>
+      )}
     </Section>
   );
 }
@@ -2352,12 +8194,20 @@ function ResumenHistorico({ data }) {
       return t >= d0 && t <= d1;
     });
 
+    // Las devoluciones restan en la fecha en que se registran
+    const totalDevoluciones = (data.devoluciones || [])
+      .filter((d) => {
+        const t = new Date(d.fecha).getTime();
+        return t >= d0 && t <= d1;
+      })
+      .reduce((acc, d) => acc + (d.total || 0), 0);
+
     const totalVentas = ventasRango.reduce((acc, v) => {
       if (Array.isArray(v.pagos) && v.pagos.length) {
         return acc + v.pagos.reduce((x, p) => x + (p.monto || 0), 0);
       }
       return acc + (v.total || 0);
-    }, 0);
+    }, 0) - totalDevoluciones;
 
     const totalCompras = gastosRango
       .filter((g) => g.tipo === "compra")
@@ -2369,6 +8219,40 @@ function ResumenHistorico({ data }) {
 
     const totalGeneral = totalVentas - totalCompras - totalGastos;
 
+    const totalDescuentos = ventasRango.reduce(
+      (acc, v) => acc + (Number(v.descuentos) || 0),
+      0
+    );
+
+    // Ventas por categoría (según la categoría actual del producto)
+    const catByEAN = new Map(
+      (data.productos || []).map((p) => [p.ean, p.categoria])
+    );
+    const catMap = new Map();
+    for (const v of ventasRango) {
+      const netos = lineTotalsNetos(v);
+      for (const [idx, it] of (v.items || []).entries()) {
+        const categoria = catByEAN.get(it.ean) || SIN_CATEGORIA;
+        if (!catMap.has(categoria)) {
+          catMap.set(categoria, { categoria, cantidad: 0, total: 0 });
+        }
+        const rec = catMap.get(categoria);
+        const qty = Number(it.qty) || 0;
+        rec.cantidad = roundQty(rec.cantidad + qty);
+        rec.total += netos[idx];
+      }
+    }
+    const totalItemsCat = Array.from(catMap.values()).reduce(
+      (a, c) => a + c.total,
+      0
+    );
+    const porCategoria = Array.from(catMap.values())
+      .map((c) => ({
+        ...c,
+        porcentaje: totalItemsCat ? (c.total / totalItemsCat) * 100 : 0,
+      }))
+      .sort((a, b) => b.total - a.total);
+
     // NUEVO: agrupación por proveedor + tipo
     // (lo separo por tipo para que veas compras y gastos independientes)
     const groupedMap = new Map();
@@ -2412,13 +8296,17 @@ function ResumenHistorico({ data }) {
         ventasRango,
         gastosRango,
         grupos,
+        porCategoria,
+        porPromo: promoCostos(ventasRango),
         totalVentas,
         totalCompras,
         totalGastos,
         totalGeneral,
+        totalDescuentos,
+        totalDevoluciones,
       },
     };
-  }, [data.ventas, data.gastos, desde, hasta]);
+  }, [data.ventas, data.devoluciones, data.gastos, data.productos, desde, hasta]);
 
   const toggleExpand = (key) => {
     setExpanded((prev) => {
@@ -2436,7 +8324,17 @@ function ResumenHistorico({ data }) {
       return;
     }
 
-    const { grupos, totalVentas, totalCompras, totalGastos, totalGeneral } = resumen;
+    const {
+      grupos,
+      porCategoria,
+      porPromo,
+      totalVentas,
+      totalCompras,
+      totalGastos,
+      totalGeneral,
+      totalDescuentos,
+      totalDevoluciones,
+    } = resumen;
 
     const bom = "\uFEFF"; // para que Excel respete acentos
     const sep = ";"; // Excel ES suele abrir mejor con ;
@@ -2448,6 +8346,8 @@ function ResumenHistorico({ data }) {
       `Total Compras${sep}${totalCompras}`,
       `Total Gastos${sep}${totalGastos}`,
       `Total General (Ventas-Compras-Gastos)${sep}${totalGeneral}`,
+      `Descuentos otorgados${sep}${totalDescuentos}`,
+      `Devoluciones (restadas de ventas)${sep}${totalDevoluciones}`,
       "",
       ["Tipo", "Proveedor", "Cantidad Registros", "Total"].join(sep),
     ];
@@ -2459,7 +8359,33 @@ function ResumenHistorico({ data }) {
       g.total,
     ].join(sep));
 
-    const csv = bom + [...header, ...rows].join("\n");
+    const catRows = [
+      "",
+      ["Categoría", "Cantidad vendida", "Total", "%"].join(sep),
+      ...porCategoria.map((c) =>
+        [
+          `"${String(c.categoria).replace(/"/g, '""')}"`,
+          c.cantidad,
+          c.total,
+          c.porcentaje.toFixed(2),
+        ].join(sep)
+      ),
+    ];
+
+    const promoRows = [
+      "",
+      ["Promoción", "Líneas", "Costo"].join(sep),
+      ...porPromo.map((pr) =>
+        [
+          `"${String(pr.nombre).replace(/"/g, '""')}"`,
+          pr.lineas,
+          pr.monto,
+        ].join(sep)
+      ),
+    ];
+
+    const csv =
+      bom + [...header, ...rows, ...catRows, ...promoRows].join("\n");
     download(`resumen-historico-${desde}-a-${hasta}.csv`, csv);
   };
 
@@ -2474,7 +8400,11 @@ function ResumenHistorico({ data }) {
       totalCompras,
       totalGastos,
       totalGeneral,
+      totalDescuentos,
+      totalDevoluciones,
       grupos,
+      porCategoria,
+      porPromo,
     } = resumen;
 
     const totalVentasStr = currency(totalVentas);
@@ -2482,6 +8412,31 @@ function ResumenHistorico({ data }) {
     const totalGastosStr = currency(totalGastos);
     const totalGeneralStr = currency(totalGeneral);
 
+    const catRowsHtml = porCategoria
+      .map(
+        (c) => `
+          <tr>
+            <td>${escapeHtml(c.categoria)}</td>
+            <td style="text-align:right;">${c.cantidad}</td>
+            <td style="text-align:right;">${currency(c.total)}</td>
+            <td style="text-align:right;">${c.porcentaje.toFixed(1)} %</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    const promoRowsHtml = porPromo
+      .map(
+        (pr) => `
+          <tr>
+            <td>${escapeHtml(pr.nombre)}</td>
+            <td style="text-align:right;">${pr.lineas}</td>
+            <td style="text-align:right;">${currency(pr.monto)}</td>
+          </tr>
+        `
+      )
+      .join("");
+
     const rowsHtml = grupos
       .map((g) => {
         const tipo = g.tipo;
@@ -2563,6 +8518,9 @@ function ResumenHistorico({ data }) {
           </div>
         </div>
 
+        <div class="range">Descuentos otorgados en el rango: ${currency(totalDescuentos)}</div>
+        <div class="range">Devoluciones en el rango (restadas de ventas): ${currency(totalDevoluciones)}</div>
+
         <div class="section-title">Compras y gastos agrupados por proveedor</div>
         <table>
           <thead>
@@ -2580,6 +8538,41 @@ function ResumenHistorico({ data }) {
             }
           </tbody>
         </table>
+
+        <div class="section-title">Ventas por categoría</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Categoría</th>
+              <th style="text-align:right;">Cantidad</th>
+              <th style="text-align:right;">Total</th>
+              <th style="text-align:right;">%</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${
+              catRowsHtml ||
+              `<tr><td colspan="4" style="text-align:center;color:#9ca3af;">No hay ventas en este rango.</td></tr>`
+            }
+          </tbody>
+        </table>
+
+        <div class="section-title">Costo de promociones</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Promoción</th>
+              <th style="text-align:right;">Líneas</th>
+              <th style="text-align:right;">Costo</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${
+              promoRowsHtml ||
+              `<tr><td colspan="3" style="text-align:center;color:#9ca3af;">No se aplicaron promociones en este rango.</td></tr>`
+            }
+          </tbody>
+        </table>
       </body>
       </html>
     `;
@@ -2660,6 +8653,86 @@ function ResumenHistorico({ data }) {
               value={currency(resumen.totalGeneral)}
               variant="accent"
             />
+            <CardStat
+              label="Descuentos otorgados en el rango"
+              value={currency(resumen.totalDescuentos)}
+            />
+            <CardStat
+              label="Devoluciones (restadas de ventas)"
+              value={currency(resumen.totalDevoluciones)}
+            />
+          </div>
+
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">
+            Ventas por categoría
+          </h3>
+
+          <div className="overflow-auto max-h-[30vh] border rounded-2xl bg-slate-50/40 mb-6">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">Categoría</th>
+                  <th className="text-right p-2">Cantidad</th>
+                  <th className="text-right p-2">Total</th>
+                  <th className="text-right p-2">% del total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resumen.porCategoria.map((c) => (
+                  <tr key={c.categoria} className="odd:bg-white even:bg-slate-50">
+                    <td className="p-2">{c.categoria}</td>
+                    <td className="p-2 text-right">{c.cantidad}</td>
+                    <td className="p-2 text-right font-semibold">
+                      {currency(c.total)}
+                    </td>
+                    <td className="p-2 text-right">
+                      {c.porcentaje.toFixed(1)} %
+                    </td>
+                  </tr>
+                ))}
+                {!resumen.porCategoria.length && (
+                  <tr>
+                    <td colSpan={4} className="p-6 text-center text-slate-500">
+                      No hay ventas en este rango.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">
+            Costo de promociones
+          </h3>
+
+          <div className="overflow-auto max-h-[30vh] border rounded-2xl bg-slate-50/40 mb-6">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">Promoción</th>
+                  <th className="text-right p-2">Líneas</th>
+                  <th className="text-right p-2">Costo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resumen.porPromo.map((pr) => (
+                  <tr key={pr.id} className="odd:bg-white even:bg-slate-50">
+                    <td className="p-2">{pr.nombre}</td>
+                    <td className="p-2 text-right">{pr.lineas}</td>
+                    <td className="p-2 text-right font-semibold">
+                      {currency(pr.monto)}
+                    </td>
+                  </tr>
+                ))}
+                {!resumen.porPromo.length && (
+                  <tr>
+                    <td colSpan={3} className="p-6 text-center text-slate-500">
+                      No se aplicaron promociones en este rango.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
           </div>
 
           <h3 className="text-sm font-semibold text-slate-700 mb-2">
@@ -2752,10 +8825,326 @@ function ResumenHistorico({ data }) {
                   );
                 })}
 
-                {!resumen.grupos.length && (
+                {!resumen.grupos.length && (
+                  <tr>
+                    <td colSpan={5} className="p-6 text-center text-slate-500">
+                      No hay compras ni gastos en este rango.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </Section>
+  );
+}
+
+// ---- Márgenes ----
+// Clave de período en fecha local: día, semana (desde el lunes) o mes
+function periodKey(fecha, agrupacion) {
+  const d = new Date(fecha);
+  if (agrupacion === "semana") {
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  }
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return agrupacion === "mes" ? `${y}-${m}` : `${y}-${m}-${day}`;
+}
+
+function ReporteMargenes({ data }) {
+  const todayISO = new Date().toISOString().slice(0, 10);
+  const [desde, setDesde] = useState(todayISO);
+  const [hasta, setHasta] = useState(todayISO);
+  const [agrupacion, setAgrupacion] = useState("dia");
+
+  const { valido, reporte } = useMemo(() => {
+    if (!desde || !hasta) return { valido: false, reporte: null };
+    if (desde > hasta) return { valido: false, reporte: null };
+
+    const d0 = new Date(desde + "T00:00:00").getTime();
+    const d1 = new Date(hasta + "T23:59:59.999").getTime();
+
+    const costoActual = new Map(
+      (data.productos || []).map((p) => [p.ean, Number(p.costo) || 0])
+    );
+
+    const porProducto = new Map();
+    const porPeriodo = new Map();
+    let ventasSinCosto = 0;
+
+    for (const v of data.ventas || []) {
+      const t = new Date(v.fecha).getTime();
+      if (t < d0 || t > d1) continue;
+      const periodo = periodKey(v.fecha, agrupacion);
+      // Con el descuento al ticket prorrateado entre las líneas
+      const netos = lineTotalsNetos(v);
+
+      for (const [idx, it] of (v.items || []).entries()) {
+        const qty = Number(it.qty) || 0;
+        const venta = netos[idx];
+        const unitCosto =
+          Number(it.costo) > 0 ? Number(it.costo) : costoActual.get(it.ean) || 0;
+
+        if (!porProducto.has(it.ean)) {
+          porProducto.set(it.ean, {
+            ean: it.ean,
+            nombre: it.nombre,
+            cantidad: 0,
+            ventas: 0,
+            costo: 0,
+            sinCosto: false,
+          });
+        }
+        const prod = porProducto.get(it.ean);
+        prod.cantidad = roundQty(prod.cantidad + qty);
+        prod.ventas += venta;
+
+        if (!porPeriodo.has(periodo)) {
+          porPeriodo.set(periodo, { periodo, ventas: 0, costo: 0 });
+        }
+        const per = porPeriodo.get(periodo);
+
+        // Sin costo conocido no hay ganancia que calcular
+        if (unitCosto <= 0) {
+          prod.sinCosto = true;
+          ventasSinCosto += venta;
+          continue;
+        }
+        prod.costo += unitCosto * qty;
+        per.ventas += venta;
+        per.costo += unitCosto * qty;
+      }
+    }
+
+    const productos = Array.from(porProducto.values())
+      .map((p) => ({ ...p, ganancia: p.sinCosto ? null : p.ventas - p.costo }))
+      .sort((a, b) => (b.ganancia ?? -Infinity) - (a.ganancia ?? -Infinity));
+
+    const periodos = Array.from(porPeriodo.values())
+      .map((p) => ({ ...p, ganancia: p.ventas - p.costo }))
+      .sort((a, b) => a.periodo.localeCompare(b.periodo));
+
+    const totalVentas = periodos.reduce((a, p) => a + p.ventas, 0);
+    const totalCosto = periodos.reduce((a, p) => a + p.costo, 0);
+
+    return {
+      valido: true,
+      reporte: {
+        productos,
+        periodos,
+        totalVentas,
+        totalCosto,
+        totalGanancia: totalVentas - totalCosto,
+        ventasSinCosto,
+      },
+    };
+  }, [data.ventas, data.productos, desde, hasta, agrupacion]);
+
+  const exportCSV = () => {
+    if (!valido || !reporte) {
+      alert("Configura un rango de fechas válido antes de exportar.");
+      return;
+    }
+    const bom = "\uFEFF";
+    const sep = ";";
+    const q = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const lines = [
+      `Márgenes (período ${desde} a ${hasta})`,
+      "",
+      ["EAN", "Producto", "Cantidad", "Ventas", "Costo", "Ganancia", "Margen %"].join(sep),
+      ...reporte.productos.map((p) =>
+        [
+          q(p.ean),
+          q(p.nombre),
+          p.cantidad,
+          p.ventas,
+          p.sinCosto ? "" : p.costo,
+          p.sinCosto ? "" : p.ganancia,
+          p.sinCosto ? "" : (marginPct(p.ventas, p.costo) ?? 0).toFixed(2),
+        ].join(sep)
+      ),
+      "",
+      ["Período", "Ventas", "Costo", "Ganancia", "Margen %"].join(sep),
+      ...reporte.periodos.map((p) =>
+        [
+          p.periodo,
+          p.ventas,
+          p.costo,
+          p.ganancia,
+          (marginPct(p.ventas, p.costo) ?? 0).toFixed(2),
+        ].join(sep)
+      ),
+    ];
+    download(`margenes-${desde}-a-${hasta}.csv`, bom + lines.join("\n"));
+  };
+
+  return (
+    <Section
+      title="Márgenes"
+      desc="Ganancia bruta por producto y por período, calculada desde los ítems vendidos. Usa el costo guardado en la venta o, si no existe, el costo actual del producto."
+      right={
+        <button
+          onClick={exportCSV}
+          className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+        >
+          Exportar Excel (CSV)
+        </button>
+      }
+    >
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-slate-700">Desde</label>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={desde}
+            onChange={(e) => setDesde(e.target.value)}
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-slate-700">Hasta</label>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={hasta}
+            onChange={(e) => setHasta(e.target.value)}
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-slate-700">Agrupar por</label>
+          <select
+            className="border rounded-xl px-3 py-2"
+            value={agrupacion}
+            onChange={(e) => setAgrupacion(e.target.value)}
+          >
+            <option value="dia">Día</option>
+            <option value="semana">Semana</option>
+            <option value="mes">Mes</option>
+          </select>
+        </div>
+      </div>
+
+      {!valido && (
+        <p className="text-sm text-red-600 mb-4">
+          Verifica que ambas fechas estén completas y que “Desde” no sea mayor que “Hasta”.
+        </p>
+      )}
+
+      {valido && reporte && (
+        <>
+          <div className="grid md:grid-cols-3 gap-3 mb-3">
+            <CardStat
+              label="Ventas con costo conocido"
+              value={currency(reporte.totalVentas)}
+              variant="primary"
+            />
+            <CardStat
+              label="Costo de lo vendido"
+              value={currency(reporte.totalCosto)}
+            />
+            <CardStat
+              label="Ganancia bruta"
+              value={currency(reporte.totalGanancia)}
+              variant="accent"
+            />
+          </div>
+          {reporte.ventasSinCosto > 0 && (
+            <p className="text-xs text-amber-700 mb-4">
+              {currency(reporte.ventasSinCosto)} en ventas de productos sin
+              costo cargado no se incluyen en la ganancia.
+            </p>
+          )}
+
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">
+            Por período
+          </h3>
+          <div className="overflow-auto max-h-[30vh] border rounded-2xl bg-slate-50/40 mb-6">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">Período</th>
+                  <th className="text-right p-2">Ventas</th>
+                  <th className="text-right p-2">Costo</th>
+                  <th className="text-right p-2">Ganancia</th>
+                  <th className="text-right p-2">Margen</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reporte.periodos.map((p) => (
+                  <tr key={p.periodo} className="odd:bg-white even:bg-slate-50">
+                    <td className="p-2">
+                      {agrupacion === "semana" ? `Semana del ${p.periodo}` : p.periodo}
+                    </td>
+                    <td className="p-2 text-right">{currency(p.ventas)}</td>
+                    <td className="p-2 text-right">{currency(p.costo)}</td>
+                    <td className="p-2 text-right font-semibold">
+                      {currency(p.ganancia)}
+                    </td>
+                    <td className="p-2 text-right">
+                      <MarginBadge pct={marginPct(p.ventas, p.costo)} />
+                    </td>
+                  </tr>
+                ))}
+                {!reporte.periodos.length && (
                   <tr>
                     <td colSpan={5} className="p-6 text-center text-slate-500">
-                      No hay compras ni gastos en este rango.
+                      No hay ventas en este rango.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">
+            Por producto
+          </h3>
+          <div className="overflow-auto max-h-[40vh] border rounded-2xl bg-slate-50/40">
+            <table className="w-full text-sm min-w-[800px]">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">EAN</th>
+                  <th className="text-left p-2">Producto</th>
+                  <th className="text-right p-2">Cantidad</th>
+                  <th className="text-right p-2">Ventas</th>
+                  <th className="text-right p-2">Costo</th>
+                  <th className="text-right p-2">Ganancia</th>
+                  <th className="text-right p-2">Margen</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reporte.productos.map((p) => (
+                  <tr key={p.ean} className="odd:bg-white even:bg-slate-50">
+                    <td className="p-2 font-mono">{p.ean}</td>
+                    <td className="p-2">{p.nombre}</td>
+                    <td className="p-2 text-right">{p.cantidad}</td>
+                    <td className="p-2 text-right">{currency(p.ventas)}</td>
+                    <td className="p-2 text-right">
+                      {p.sinCosto ? "—" : currency(p.costo)}
+                    </td>
+                    <td className="p-2 text-right font-semibold">
+                      {p.sinCosto ? (
+                        <span className="text-xs font-normal text-amber-700">
+                          Sin costo
+                        </span>
+                      ) : (
+                        currency(p.ganancia)
+                      )}
+                    </td>
+                    <td className="p-2 text-right">
+                      <MarginBadge
+                        pct={p.sinCosto ? null : marginPct(p.ventas, p.costo)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+                {!reporte.productos.length && (
+                  <tr>
+                    <td colSpan={7} className="p-6 text-center text-slate-500">
+                      No hay ventas en este rango.
                     </td>
                   </tr>
                 )}
@@ -2769,13 +9158,32 @@ function ResumenHistorico({ data }) {
 }
 
 // ---- Ranking de ventas ----
-function RankingVentas({ email }) {
+function RankingVentas({ email, ventas }) {
   const [desde, setDesde] = React.useState("");
   const [hasta, setHasta] = React.useState("");
   const [data, setData] = React.useState(null);
   const [loading, setLoading] = React.useState(false);
   const [error, setError] = React.useState("");
 
+  // Costo de promociones por producto: se calcula con las ventas locales,
+  // ya que el backend no conoce el detalle de las promociones.
+  const promoPorEAN = React.useMemo(() => {
+    const map = new Map();
+    (ventas || []).forEach((v) => {
+      const dia = periodKey(v.fecha, "dia");
+      if ((desde && dia < desde) || (hasta && dia > hasta)) return;
+      (v.items || []).forEach((i) => {
+        if (!i.promo) return;
+        map.set(i.ean, (map.get(i.ean) || 0) + (Number(i.promo.monto) || 0));
+      });
+    });
+    return map;
+  }, [ventas, desde, hasta]);
+  const totalPromos = Array.from(promoPorEAN.values()).reduce(
+    (a, m) => a + m,
+    0
+  );
+
   async function cargarRanking() {
     if (!email) {
       setError("Debe indicar un email válido.");
@@ -2867,66 +9275,639 @@ function RankingVentas({ email }) {
                 minimumFractionDigits: 2,
               })}
             </div>
+            {totalPromos > 0 && (
+              <div className="text-sm text-fuchsia-700">
+                Costo de promociones del período: {currency(totalPromos)}
+              </div>
+            )}
+
+            <div className="overflow-auto max-h-96 border rounded-2xl bg-slate-50/40">
+              <table className="min-w-full text-sm">
+                <thead className="bg-slate-100 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left">#</th>
+                    <th className="px-2 py-1 text-left">EAN</th>
+                    <th className="px-2 py-1 text-left">Producto</th>
+                    <th className="px-2 py-1 text-right">Cantidad</th>
+                    <th className="px-2 py-1 text-right">Total</th>
+                    <th className="px-2 py-1 text-right">% del total</th>
+                    <th className="px-2 py-1 text-right">Costo promos</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.productos.map((p, idx) => (
+                    <tr
+                      key={`${p.ean}-${p.nombre}-${idx}`}
+                      className="border-t odd:bg-white even:bg-slate-50"
+                    >
+                      <td className="px-2 py-1">{idx + 1}</td>
+                      <td className="px-2 py-1">{p.ean}</td>
+                      <td className="px-2 py-1">{p.nombre}</td>
+                      <td className="px-2 py-1 text-right">
+                        {roundQty(p.cantidad)}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {p.total.toLocaleString("es-AR", {
+                          style: "currency",
+                          currency: "ARS",
+                          minimumFractionDigits: 2,
+                        })}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {p.porcentaje.toFixed(2)} %
+                      </td>
+                      <td className="px-2 py-1 text-right text-fuchsia-700">
+                        {promoPorEAN.get(p.ean)
+                          ? currency(promoPorEAN.get(p.ean))
+                          : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                  {data.productos.length === 0 && (
+                    <tr>
+                      <td
+                        colSpan={7}
+                        className="px-2 py-4 text-center text-slate-500"
+                      >
+                        No hay ventas registradas en el rango seleccionado.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </Section>
+  );
+}
+
+// ---- Fiados ----
+// ---- Fiados ----
+// ---- Fiados ----
+// Confirmación de la migración al pasar a "congelar precios"
+function CongelarPreciosModal({ alcance, cantidad, onOk, onCancel }) {
+  const [criterio, setCriterio] = useState("saldo");
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-5 text-sm">
+        <h3 className="text-lg font-semibold mb-2">Congelar precios de fiados</h3>
+        <p className="text-slate-600 mb-3">
+          {cantidad === 1
+            ? `Hay 1 artículo fiado de ${alcance} que sigue`
+            : `Hay ${cantidad} artículos fiados de ${alcance} que siguen`}{" "}
+          el precio del catálogo. ¿Con qué precio se congelan?
+        </p>
+        <label className="flex items-start gap-2 mb-2">
+          <input
+            type="radio"
+            checked={criterio === "saldo"}
+            onChange={() => setCriterio("saldo")}
+          />
+          <span>
+            Con el que se calculan hoy
+            <span className="block text-xs text-slate-500">
+              Los saldos no cambian.
+            </span>
+          </span>
+        </label>
+        <label className="flex items-start gap-2 mb-4">
+          <input
+            type="radio"
+            checked={criterio === "venta"}
+            onChange={() => setCriterio("venta")}
+          />
+          <span>
+            Con el precio que tenía el producto el día de cada compra
+            <span className="block text-xs text-slate-500">
+              Según el historial de precios; los saldos pueden bajar.
+            </span>
+          </span>
+        </label>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+          >
+            Ahora no
+          </button>
+          <button
+            onClick={() => onOk(criterio)}
+            className="px-3 py-1.5 rounded-xl bg-sky-600 text-white hover:bg-sky-700"
+          >
+            Congelar precios
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Alta / edición de la ficha de un cliente de fiado
+function ClienteForm({ cliente, personas, settings, onOk, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    politica: cliente.politicaPrecios?.modo || "",
+    dias: String(cliente.politicaPrecios?.dias || fiadosCfg(settings).precios.dias),
+    nombre: cliente.nombre || "",
+    telefono: cliente.telefono || "",
+    dni: cliente.dni || "",
+    direccion: cliente.direccion || "",
+    notas: cliente.notas || "",
+    limite: cliente.limite ? String(cliente.limite).replace(".", ",") : "",
+  }));
+  const [error, setError] = useState("");
+
+  const ok = () => {
+    const nombre = form.nombre.trim();
+    if (!nombre) return setError("El nombre es obligatorio.");
+    const repetido = personas.find(
+      (p) => p.id !== cliente.id && foldText(p.nombre).trim() === foldText(nombre)
+    );
+    if (repetido) return setError(`Ya existe un cliente llamado "${repetido.nombre}".`);
+    const limite = parseMoneyInput(form.limite);
+    if (limite < 0) return setError("El límite no puede ser negativo.");
+    onOk({
+      nombre,
+      telefono: form.telefono.trim(),
+      dni: form.dni.trim(),
+      direccion: form.direccion.trim(),
+      notas: form.notas.trim(),
+      limite,
+      politicaPrecios: form.politica
+        ? {
+            modo: form.politica,
+            ...(form.politica === "dias"
+              ? { dias: Math.max(1, parseInt(form.dias, 10) || 1) }
+              : {}),
+          }
+        : undefined,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-5">
+        <h3 className="text-lg font-semibold mb-3">
+          {cliente.id ? "Editar cliente" : "Nuevo cliente"}
+        </h3>
+        <div className="space-y-2 text-sm">
+          {CLIENTE_CAMPOS.map(([field, label]) =>
+            field === "notas" ? (
+              <textarea
+                key={field}
+                rows={2}
+                className="w-full border rounded-xl px-3 py-2"
+                placeholder={label}
+                value={form.notas}
+                onChange={(e) => setForm((f) => ({ ...f, notas: e.target.value }))}
+              />
+            ) : (
+              <div key={field}>
+                <input
+                  autoFocus={field === "nombre"}
+                  className="w-full border rounded-xl px-3 py-2"
+                  placeholder={label}
+                  value={form[field]}
+                  onChange={(e) => {
+                    setForm((f) => ({ ...f, [field]: e.target.value }));
+                    setError("");
+                  }}
+                />
+                {field === "telefono" && (
+                  <div className="text-xs text-slate-500 mt-1">
+                    Con código de área (ej: 11 2345-6789). Para WhatsApp se
+                    agrega +54 9 si falta.
+                  </div>
+                )}
+              </div>
+            )
+          )}
+          <label className="block text-slate-700">
+            Límite de crédito (vacío = sin límite)
+            <input
+              className="mt-1 w-full border rounded-xl px-3 py-2"
+              placeholder="Ej: 50000"
+              value={form.limite}
+              onChange={(e) => setForm((f) => ({ ...f, limite: e.target.value }))}
+            />
+          </label>
+          <label className="block text-slate-700">
+            Precio de lo fiado
+            <select
+              className="mt-1 w-full border rounded-xl px-3 py-2"
+              value={form.politica}
+              onChange={(e) => setForm((f) => ({ ...f, politica: e.target.value }))}
+            >
+              <option value="">
+                Según la configuración (
+                {POLITICAS_PRECIO[fiadosCfg(settings).precios.modo].toLowerCase()})
+              </option>
+              {Object.entries(POLITICAS_PRECIO).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {form.politica === "dias" && (
+            <label className="flex items-center gap-2 text-slate-700">
+              N =
+              <input
+                type="number"
+                min="1"
+                className="border rounded-xl px-3 py-2 w-20"
+                value={form.dias}
+                onChange={(e) => setForm((f) => ({ ...f, dias: e.target.value }))}
+              />
+              días
+            </label>
+          )}
+        </div>
+        <div className="text-xs text-red-600 min-h-[1rem] my-2">{error}</div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={ok}
+            className="px-3 py-1.5 rounded-xl text-sm bg-sky-600 text-white hover:bg-sky-700"
+          >
+            Guardar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Estado de cuenta de una persona por período: imprimir, WhatsApp o térmica
+function EstadoCuentaModal({ persona, productos, settings, onClose }) {
+  const [desde, setDesde] = useState("");
+  const [hasta, setHasta] = useState(new Date().toISOString().slice(0, 10));
+  const [copiado, setCopiado] = useState(false);
+
+  const estado = useMemo(
+    () => estadoCuentaFiado(persona, productos, desde, hasta, settings),
+    [persona, productos, desde, hasta, settings]
+  );
+  const texto = estadoCuentaTexto(estado, persona, settings);
+
+  const imprimir = () => {
+    const w = window.open("", "_blank");
+    if (!w) {
+      alert(
+        "No se pudo abrir la ventana de impresión. Revisa el bloqueador de ventanas emergentes."
+      );
+      return;
+    }
+    w.document.open();
+    w.document.write(buildEstadoCuentaHtml(estado, persona, settings));
+    w.document.close();
+  };
+
+  const copiar = async () => {
+    try {
+      await navigator.clipboard.writeText(texto);
+      setCopiado(true);
+    } catch {
+      alert("No se pudo copiar. Selecciona el texto y cópialo manualmente.");
+    }
+  };
+
+  const telefono = telefonoWhatsApp(persona.telefono);
+  const abrirWhatsApp = () =>
+    window.open(
+      `https://wa.me/${telefono}?text=${encodeURIComponent(texto)}`,
+      "_blank"
+    );
+
+  const imprimirTermica = async () => {
+    const r = await enviarEscPos(
+      fiadoEscPos(estado, persona, settings),
+      `estado-${persona.nombre.replace(/\s+/g, "-").toLowerCase()}`,
+      settings
+    );
+    if (!r.ok) alert(`No se pudo imprimir el estado de cuenta: ${r.error}`);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-5 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-3">
+          Estado de cuenta: {persona.nombre}
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+          <label className="flex items-center gap-2">
+            Desde
+            <input
+              type="date"
+              className="border rounded-xl px-3 py-1.5"
+              value={desde}
+              onChange={(e) => setDesde(e.target.value)}
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Hasta
+            <input
+              type="date"
+              className="border rounded-xl px-3 py-1.5"
+              value={hasta}
+              onChange={(e) => setHasta(e.target.value)}
+            />
+          </label>
+          <span className="text-xs text-slate-500">
+            Sin “Desde” se incluyen todos los movimientos.
+          </span>
+        </div>
+
+        <div className="overflow-auto border rounded-xl bg-slate-50/40 mb-3 flex-1">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="text-left p-1.5">Fecha</th>
+                <th className="text-left p-1.5">Detalle</th>
+                <th className="text-right p-1.5">Importe</th>
+                <th className="text-right p-1.5">Saldo</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="bg-white">
+                <td className="p-1.5" colSpan={3}>
+                  Saldo anterior
+                </td>
+                <td className="p-1.5 text-right">
+                  {currency(estado.saldoInicial)}
+                </td>
+              </tr>
+              {estado.movimientos.map((m) => (
+                <tr key={m.id} className="odd:bg-white even:bg-slate-50 align-top">
+                  <td className="p-1.5 whitespace-nowrap">{fechaDia(m.fecha)}</td>
+                  <td className="p-1.5">
+                    {m.tipo === "abono" ? (
+                      <span className="text-emerald-700">Abono</span>
+                    ) : (
+                      m.items.map((i, idx) => (
+                        <div key={idx} className="flex justify-between gap-2">
+                          <span>
+                            {formatQty(i.qty, i.unidad)} {i.nombre}{" "}
+                            <span className="text-slate-400">({i.ean})</span>
+                          </span>
+                          <span className="whitespace-nowrap">
+                            {typeof i.importe === "number"
+                              ? "balanza"
+                              : `${currency(i.precio)} c/u`}{" "}
+                            <span
+                              className={
+                                i.congelado ? "text-slate-400" : "text-amber-700"
+                              }
+                            >
+                              {i.congelado ? "fijo" : "actual"}
+                            </span>
+                          </span>
+                        </div>
+                      ))
+                    )}
+                  </td>
+                  <td
+                    className={
+                      "p-1.5 text-right whitespace-nowrap " +
+                      (m.tipo === "abono" ? "text-emerald-700" : "")
+                    }
+                  >
+                    {m.tipo === "abono" ? "-" : ""}
+                    {currency(m.monto)}
+                  </td>
+                  <td className="p-1.5 text-right whitespace-nowrap">
+                    {currency(m.saldo)}
+                  </td>
+                </tr>
+              ))}
+              {!estado.movimientos.length && (
+                <tr>
+                  <td colSpan={4} className="p-3 text-center text-slate-400">
+                    Sin movimientos en el período
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap justify-between items-center gap-2 text-sm">
+          <span>
+            Saldo al cierre del período:{" "}
+            <span className="font-semibold">{currency(estado.saldoFinal)}</span>
+          </span>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={imprimir}
+              className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+            >
+              Imprimir / PDF
+            </button>
+            <button
+              onClick={copiar}
+              className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+            >
+              {copiado ? "Copiado ✅" : "Copiar texto (WhatsApp)"}
+            </button>
+            <button
+              onClick={abrirWhatsApp}
+              className="px-3 py-1.5 rounded-xl border border-emerald-400 text-emerald-700 hover:bg-emerald-50"
+            >
+              Enviar por WhatsApp
+            </button>
+            {impresoraCfg(settings).salida !== "navegador" && (
+              <button
+                onClick={imprimirTermica}
+                className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+              >
+                Ticket térmico
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 rounded-xl bg-slate-900 text-white hover:bg-slate-700"
+            >
+              Cerrar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Antigüedad de saldos por cliente, ordenada por riesgo
+function AntiguedadFiados({ personas, productos, settings, alertaDias, onAlertaDias }) {
+  const filas = useMemo(() => {
+    const hoy = new Date();
+    return personas
+      .map((p) => ({ persona: p, ...antiguedadFiado(p, productos, settings, hoy) }))
+      .filter((f) => f.saldo > 0.0001)
+      .sort((a, b) => b.riesgo - a.riesgo);
+  }, [personas, productos, settings]);
+
+  const totales = TRAMOS_ANTIGUEDAD.reduce(
+    (acc, t) => ({ ...acc, [t.id]: filas.reduce((a, f) => a + f.tramos[t.id], 0) }),
+    { saldo: filas.reduce((a, f) => a + f.saldo, 0) }
+  );
+  const atrasado = (f) => f.diasSinAbono != null && f.diasSinAbono > alertaDias;
+  const atrasados = filas.filter(atrasado).length;
+
+  const exportCSV = () => {
+    if (!filas.length) {
+      alert("No hay saldos para exportar.");
+      return;
+    }
+    const bom = "\uFEFF";
+    const sep = ";";
+    const q = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const lines = [
+      `Antigüedad de fiados al ${new Date().toLocaleDateString("es-AR")}`,
+      "",
+      [
+        "Cliente",
+        "Teléfono",
+        "Saldo",
+        ...TRAMOS_ANTIGUEDAD.map((t) => t.label),
+        "Último abono",
+        "Días sin abono",
+      ].join(sep),
+      ...filas.map((f) =>
+        [
+          q(f.persona.nombre),
+          q(f.persona.telefono || ""),
+          f.saldo.toFixed(2),
+          ...TRAMOS_ANTIGUEDAD.map((t) => f.tramos[t.id].toFixed(2)),
+          f.ultimoAbono ? new Date(f.ultimoAbono).toLocaleDateString("es-AR") : "",
+          f.diasSinAbono ?? "",
+        ].join(sep)
+      ),
+    ];
+    download(
+      `antiguedad-fiados-${new Date().toISOString().slice(0, 10)}.csv`,
+      bom + lines.join("\n")
+    );
+  };
 
-            <div className="overflow-auto max-h-96 border rounded-2xl bg-slate-50/40">
-              <table className="min-w-full text-sm">
-                <thead className="bg-slate-100 sticky top-0">
-                  <tr>
-                    <th className="px-2 py-1 text-left">#</th>
-                    <th className="px-2 py-1 text-left">EAN</th>
-                    <th className="px-2 py-1 text-left">Producto</th>
-                    <th className="px-2 py-1 text-right">Cantidad</th>
-                    <th className="px-2 py-1 text-right">Total</th>
-                    <th className="px-2 py-1 text-right">% del total</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {data.productos.map((p, idx) => (
-                    <tr
-                      key={`${p.ean}-${p.nombre}-${idx}`}
-                      className="border-t odd:bg-white even:bg-slate-50"
-                    >
-                      <td className="px-2 py-1">{idx + 1}</td>
-                      <td className="px-2 py-1">{p.ean}</td>
-                      <td className="px-2 py-1">{p.nombre}</td>
-                      <td className="px-2 py-1 text-right">
-                        {p.cantidad}
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        {p.total.toLocaleString("es-AR", {
-                          style: "currency",
-                          currency: "ARS",
-                          minimumFractionDigits: 2,
-                        })}
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        {p.porcentaje.toFixed(2)} %
-                      </td>
-                    </tr>
-                  ))}
-                  {data.productos.length === 0 && (
-                    <tr>
-                      <td
-                        colSpan={6}
-                        className="px-2 py-4 text-center text-slate-500"
-                      >
-                        No hay ventas registradas en el rango seleccionado.
-                      </td>
-                    </tr>
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-2 text-slate-700">
+          Resaltar clientes sin abonos hace más de
+          <input
+            type="number"
+            min="1"
+            className="border rounded-xl px-3 py-1.5 w-20"
+            value={alertaDias}
+            onChange={(e) => onAlertaDias(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          />
+          días
+          {atrasados > 0 && (
+            <span className="text-red-700 font-semibold">
+              ({atrasados} {atrasados === 1 ? "cliente" : "clientes"})
+            </span>
+          )}
+        </label>
+        <button
+          onClick={exportCSV}
+          className="px-3 py-1.5 rounded-xl border hover:bg-slate-50"
+        >
+          Exportar Excel (CSV)
+        </button>
+      </div>
+      <div className="overflow-auto max-h-[60vh] border rounded-2xl bg-slate-50/40">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100 sticky top-0">
+            <tr>
+              <th className="text-left p-2">Cliente</th>
+              <th className="text-right p-2">Saldo</th>
+              {TRAMOS_ANTIGUEDAD.map((t) => (
+                <th key={t.id} className="text-right p-2">
+                  {t.label}
+                </th>
+              ))}
+              <th className="text-left p-2">Último abono</th>
+              <th className="text-right p-2">Días sin abono</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filas.map((f) => (
+              <tr
+                key={f.persona.id}
+                className={atrasado(f) ? "bg-red-50" : "odd:bg-white even:bg-slate-50"}
+              >
+                <td className="p-2">
+                  {f.persona.nombre}
+                  {f.persona.telefono && (
+                    <span className="block text-xs text-slate-500">
+                      {f.persona.telefono}
+                    </span>
                   )}
-                </tbody>
-              </table>
-            </div>
-          </div>
-        )}
+                </td>
+                <td className="p-2 text-right font-semibold">{currency(f.saldo)}</td>
+                {TRAMOS_ANTIGUEDAD.map((t) => (
+                  <td
+                    key={t.id}
+                    className={
+                      "p-2 text-right " +
+                      (f.tramos[t.id] > 0 && t.peso >= 3 ? "text-red-700" : "")
+                    }
+                  >
+                    {f.tramos[t.id] > 0 ? currency(f.tramos[t.id]) : "—"}
+                  </td>
+                ))}
+                <td className="p-2">
+                  {f.ultimoAbono
+                    ? new Date(f.ultimoAbono).toLocaleDateString("es-AR")
+                    : "Nunca"}
+                </td>
+                <td
+                  className={
+                    "p-2 text-right " + (atrasado(f) ? "text-red-700 font-semibold" : "")
+                  }
+                >
+                  {f.diasSinAbono ?? "—"}
+                </td>
+              </tr>
+            ))}
+            {!filas.length && (
+              <tr>
+                <td colSpan={8} className="p-4 text-center text-slate-400">
+                  Sin saldos pendientes
+                </td>
+              </tr>
+            )}
+          </tbody>
+          {filas.length > 0 && (
+            <tfoot className="bg-slate-100 font-semibold">
+              <tr>
+                <td className="p-2">Total</td>
+                <td className="p-2 text-right">{currency(totales.saldo)}</td>
+                {TRAMOS_ANTIGUEDAD.map((t) => (
+                  <td key={t.id} className="p-2 text-right">
+                    {currency(totales[t.id])}
+                  </td>
+                ))}
+                <td colSpan={2}></td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
       </div>
-    </Section>
+      <p className="text-xs text-slate-500 mt-2">
+        Los abonos cancelan primero las compras más antiguas. Orden por riesgo:
+        saldo ponderado por antigüedad (×1, ×2, ×3 y ×4 según el tramo).
+      </p>
+    </div>
   );
 }
 
-// ---- Fiados ----
-// ---- Fiados ----
-// ---- Fiados ----
 function Fiados({ data, setData }) {
   const personas = data.fiados || [];
   const productos = data.productos || [];
@@ -2944,10 +9925,29 @@ function Fiados({ data, setData }) {
       personas
         .map((p) => ({
           ...p,
-          saldo: computeSaldoPersona(p, productos),
+          saldo: computeSaldoPersona(p, productos, data.settings),
+        }))
+        .filter((p) => !p.archivado && p.saldo > 0.0001),
+    [personas, productos, data.settings]
+  );
+
+  const activas = useMemo(
+    () => (data.fiados || []).filter((p) => !p.archivado),
+    [data.fiados]
+  );
+
+  // Cuentas archivadas (saldadas o archivadas a mano), la más reciente primero
+  const saldados = useMemo(
+    () =>
+      (data.fiados || [])
+        .filter((p) => p.archivado)
+        .map((p) => ({
+          ...p,
+          saldo: computeSaldoPersona(p, data.productos, data.settings),
+          totalAbonos: (p.abonos || []).reduce((a, b) => a + (b.monto || 0), 0),
         }))
-        .filter((p) => p.saldo > 0.0001),
-    [personas, productos]
+        .sort((a, b) => new Date(b.archivado.fecha) - new Date(a.archivado.fecha)),
+    [data.fiados, data.productos, data.settings]
   );
 
   const totalFiados = useMemo(
@@ -2994,9 +9994,9 @@ function Fiados({ data, setData }) {
 
     setData((s) => {
       const productosS = s.productos || [];
-      let fiados = (s.fiados || []).map((p) => {
-        if (p.nombre.toLowerCase() !== nombre.toLowerCase()) return p;
-        return {
+      const fiados = (s.fiados || []).map((p) => {
+        if (p.id !== existe.id) return p;
+        const conAbono = {
           ...p,
           abonos: [
             {
@@ -3007,13 +10007,16 @@ function Fiados({ data, setData }) {
             ...(p.abonos || []),
           ],
         };
+        // Si la cuenta queda en 0 se archiva como saldada (conserva el
+        // historial). Solo la que recibió el abono y si tuvo compras: una
+        // ficha recién creada sin cargas sigue activa.
+        return !conAbono.archivado &&
+          (conAbono.cargos || []).length > 0 &&
+          computeSaldoPersona(conAbono, productosS, s.settings) <= 0.0001
+          ? archivar(conAbono, "saldado")
+          : conAbono;
       });
 
-      // Eliminar personas cuyo saldo quede en 0
-      fiados = fiados.filter(
-        (p) => computeSaldoPersona(p, productosS) > 0.0001
-      );
-
       return { ...s, fiados };
     });
 
@@ -3023,6 +10026,56 @@ function Fiados({ data, setData }) {
     alert("Abono registrado.");
   };
 
+  // Fichas de clientes: alta, edición y buscador
+  const [editCliente, setEditCliente] = useState(null); // persona o {} (nuevo)
+  const [buscarCliente, setBuscarCliente] = useState("");
+  const clientes = useMemo(
+    () => buscarClientes(data.fiados, buscarCliente),
+    [data.fiados, buscarCliente]
+  );
+
+  const guardarCliente = (datos) => {
+    const id = editCliente.id;
+    setData((s) => ({
+      ...s,
+      fiados: id
+        ? (s.fiados || []).map((p) => (p.id === id ? { ...p, ...datos } : p))
+        : [...(s.fiados || []), { id: uid(), ...datos, cargos: [], abonos: [] }],
+    }));
+    // Si el cliente pasa a "congelar", se ofrece congelar lo que ya debe
+    const anterior = politicaPrecios(editCliente, data.settings);
+    const nueva = politicaPrecios({ politicaPrecios: datos.politicaPrecios }, data.settings);
+    const cantidad = id ? itemsSinCongelar(editCliente, productos) : 0;
+    if (nueva.modo === "congelar" && anterior.modo !== "congelar" && cantidad) {
+      setMigracion({ id, nombre: datos.nombre, politica: anterior, cantidad });
+    }
+    setEditCliente(null);
+  };
+
+  const [migracion, setMigracion] = useState(null); // { id, nombre, politica, cantidad }
+  const migrarPrecios = (criterio) => {
+    const { id, politica } = migracion;
+    setData((s) => ({
+      ...s,
+      fiados: (s.fiados || []).map((p) =>
+        p.id === id ? congelarPreciosFiado(p, s.productos, politica, criterio) : p
+      ),
+    }));
+    setMigracion(null);
+  };
+
+  const [estadoDe, setEstadoDe] = useState(null); // persona
+  const [vista, setVista] = useState("activos"); // activos | antiguedad | saldados
+  const cfgFiados = fiadosCfg(data.settings);
+  const setAlertaDias = (n) =>
+    setData((s) => ({
+      ...s,
+      settings: {
+        ...(s.settings || {}),
+        fiados: { ...((s.settings || {}).fiados || {}), alertaDias: n },
+      },
+    }));
+
   // MODAL eliminar fiado
   const abrirModalEliminar = (persona) => {
     setDeleteTarget(persona);
@@ -3038,25 +10091,32 @@ function Fiados({ data, setData }) {
     const PASSWORD_ELIMINAR = "Cmarie1$";
 
     if (deletePassword !== PASSWORD_ELIMINAR) {
-      alert("Contraseña incorrecta. No se eliminó el fiado.");
+      alert("Contraseña incorrecta. No se archivó el fiado.");
       return;
     }
 
+    // No se borra: pasa a "Saldados" con todas sus compras y abonos
     setData((s) => ({
       ...s,
-      fiados: (s.fiados || []).filter(
-        (p) => p.id !== (deleteTarget && deleteTarget.id)
+      fiados: (s.fiados || []).map((p) =>
+        p.id === (deleteTarget && deleteTarget.id) ? archivar(p, "manual") : p
       ),
     }));
 
     cerrarModalEliminar();
-    alert("Fiado eliminado por completo.");
+    alert("Fiado archivado. Puedes consultarlo en Saldados.");
   };
 
+  const reactivarCuenta = (id) =>
+    setData((s) => ({
+      ...s,
+      fiados: (s.fiados || []).map((p) => (p.id === id ? reactivar(p) : p)),
+    }));
+
   return (
     <Section
       title="Fiados"
-      desc="Personas con deudas, detalle de compras fiadas y abonos. El saldo se recalcula automáticamente; para productos con precio 0 se usa el precio guardado en ese fiado."
+      desc="Personas con deudas, detalle de compras fiadas y abonos. El saldo se recalcula automáticamente según la política de precios (Configuración o la ficha del cliente); los precios congelados no cambian."
     >
       <div className="grid md:grid-cols-3 gap-3 mb-4">
         <div className="flex flex-col gap-1 md:col-span-1">
@@ -3121,203 +10181,462 @@ function Fiados({ data, setData }) {
         </span>
       </div>
 
-      {personasConSaldo.length === 0 ? (
-        <p className="text-sm text-slate-500">
-          No hay fiados activos. Cuando registres ventas con el método de pago
-          <strong> Fiado</strong>, aparecerán aquí.
-        </p>
-      ) : (
-        <div className="space-y-4 max-h-[60vh] overflow-auto pr-1">
-          {personasConSaldo.map((p) => {
-            const cargos = p.cargos || [];
-            const abonos = p.abonos || [];
-            const mapProd = new Map(productos.map((pr) => [pr.ean, pr]));
-
-            return (
-              <div
-                key={p.id}
-                className="border rounded-2xl p-4 bg-white"
-              >
-                <div className="flex items-center justify-between mb-2">
-                  <h3 className="text-lg font-semibold">{p.nombre}</h3>
-                  <div className="flex flex-col items-end gap-1">
-                    <span className="text-sm text-slate-600">
-                      Saldo actual:{" "}
-                      <span className="font-semibold">
-                        {currency(p.saldo)}
+      <div className="flex gap-2 mb-4">
+        {[
+          ["activos", "Cuentas activas"],
+          ["antiguedad", "Antigüedad de deuda"],
+          ["saldados", `Saldados (${saldados.length})`],
+        ].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setVista(id)}
+            className={
+              "px-3 py-1.5 rounded-full text-sm transition " +
+              (vista === id
+                ? "bg-slate-900 text-white shadow-sm"
+                : "border border-slate-200 text-slate-700 hover:bg-slate-50")
+            }
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {vista === "saldados" ? (
+        <div className="overflow-auto max-h-[60vh] border rounded-2xl bg-slate-50/40">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="text-left p-2">Cliente</th>
+                <th className="text-left p-2">Archivado</th>
+                <th className="text-right p-2">Compras</th>
+                <th className="text-right p-2">Abonos</th>
+                <th className="text-right p-2">Saldo</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {saldados.map((p) => (
+                <tr key={p.id} className="odd:bg-white even:bg-slate-50">
+                  <td className="p-2">
+                    {p.nombre}
+                    {p.telefono && (
+                      <span className="block text-xs text-slate-500">
+                        {p.telefono}
                       </span>
+                    )}
+                  </td>
+                  <td className="p-2">
+                    {new Date(p.archivado.fecha).toLocaleDateString("es-AR")}
+                    <span className="block text-xs text-slate-500">
+                      {p.archivado.motivo === "saldado"
+                        ? "Saldado con abono"
+                        : "Archivado a mano"}
                     </span>
+                  </td>
+                  <td className="p-2 text-right">{(p.cargos || []).length}</td>
+                  <td className="p-2 text-right">{currency(p.totalAbonos)}</td>
+                  <td
+                    className={
+                      "p-2 text-right " + (p.saldo > 0.0001 ? "text-red-700" : "")
+                    }
+                  >
+                    {currency(p.saldo)}
+                  </td>
+                  <td className="p-2 text-right whitespace-nowrap space-x-3">
                     <button
-                      onClick={() => abrirModalEliminar(p)}
-                      className="text-xs text-red-600 hover:underline"
+                      onClick={() => setEstadoDe(p)}
+                      className="text-xs text-sky-700 hover:underline"
                     >
-                      Eliminar fiado
+                      Estado de cuenta
                     </button>
-                  </div>
-                </div>
+                    <button
+                      onClick={() => reactivarCuenta(p.id)}
+                      className="text-xs text-sky-700 hover:underline"
+                    >
+                      Reactivar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!saldados.length && (
+                <tr>
+                  <td colSpan={6} className="p-4 text-center text-slate-400">
+                    No hay cuentas saldadas
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : vista === "antiguedad" ? (
+        <AntiguedadFiados
+          personas={activas}
+          productos={productos}
+          settings={data.settings}
+          alertaDias={cfgFiados.alertaDias}
+          onAlertaDias={setAlertaDias}
+        />
+      ) : (
+        <>
+          {personasConSaldo.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              No hay fiados activos. Cuando registres ventas con el método de pago
+              <strong> Fiado</strong>, aparecerán aquí.
+            </p>
+          ) : (
+            <div className="space-y-4 max-h-[60vh] overflow-auto pr-1">
+              {personasConSaldo.map((p) => {
+                const cargos = p.cargos || [];
+                const abonos = p.abonos || [];
+                const mapProd = new Map(productos.map((pr) => [pr.ean, pr]));
+                const politica = politicaPrecios(p, data.settings);
+
+                return (
+                  <div
+                    key={p.id}
+                    className="border rounded-2xl p-4 bg-white"
+                  >
+                    <div className="flex items-center justify-between mb-2">
+                      <div>
+                        <h3 className="text-lg font-semibold">{p.nombre}</h3>
+                        <div className="text-xs text-slate-500">
+                          {[
+                            p.telefono && `Tel. ${p.telefono}`,
+                            p.dni && `DNI ${p.dni}`,
+                            p.direccion,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </div>
+                        {p.notas && (
+                          <div className="text-xs text-slate-600 italic">
+                            {p.notas}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex flex-col items-end gap-1">
+                        <span className="text-sm text-slate-600">
+                          Saldo actual:{" "}
+                          <span className="font-semibold">
+                            {currency(p.saldo)}
+                          </span>
+                        </span>
+                        {Number(p.limite) > 0 && (
+                          <span
+                            className={
+                              "text-xs " +
+                              (p.saldo > p.limite ? "text-red-600 font-semibold" : "text-slate-500")
+                            }
+                          >
+                            Límite {currency(p.limite)}
+                          </span>
+                        )}
+                        <button
+                          onClick={() => setEditCliente(p)}
+                          className="text-xs text-sky-700 hover:underline"
+                        >
+                          Editar datos
+                        </button>
+                        <button
+                          onClick={() => setEstadoDe(p)}
+                          className="text-xs text-sky-700 hover:underline"
+                        >
+                          Estado de cuenta
+                        </button>
+                        <button
+                          onClick={() => abrirModalEliminar(p)}
+                          className="text-xs text-red-600 hover:underline"
+                        >
+                          Archivar fiado
+                        </button>
+                      </div>
+                    </div>
 
-                <div className="grid md:grid-cols-2 gap-4">
-                  <div>
-                    <h4 className="text-sm font-semibold text-slate-700 mb-1">
-                      Ventas fiadas
-                    </h4>
-                    <div className="border rounded-xl max-h-48 overflow-auto bg-slate-50/40">
-                      <table className="w-full text-xs">
-                        <thead className="bg-slate-100 sticky top-0">
-                          <tr>
-                            <th className="text-left p-1.5">
-                              Fecha
-                            </th>
-                            <th className="text-left p-1.5">
-                              Detalle
-                            </th>
-                            <th className="text-right p-1.5">Monto</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {cargos.map((c) => {
-                            let totalCargo = 0;
-                            const detalle = (c.items || []).map(
-                              (it, idx) => {
-                                const prod = mapProd.get(it.ean);
-                                const nombreProd =
-                                  prod?.nombre || `Producto sin nombre`;
-                                const qty = Number(it.qty) || 0;
-
-                                const precioBase =
-                                  typeof it.precioUnitario === "number"
-                                    ? it.precioUnitario
-                                    : prod
-                                    ? Number(prod.precio) || 0
-                                    : 0;
-
-                                const sub = precioBase * qty;
-                                totalCargo += sub;
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <div>
+                        <h4 className="text-sm font-semibold text-slate-700 mb-1">
+                          Ventas fiadas
+                        </h4>
+                        <div className="border rounded-xl max-h-48 overflow-auto bg-slate-50/40">
+                          <table className="w-full text-xs">
+                            <thead className="bg-slate-100 sticky top-0">
+                              <tr>
+                                <th className="text-left p-1.5">
+                                  Fecha
+                                </th>
+                                <th className="text-left p-1.5">
+                                  Detalle
+                                </th>
+                                <th className="text-right p-1.5">Monto</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {cargos.map((c) => {
+                                const totalCargo = fiadoCargoTotal(c, mapProd, politica);
+                                const detalle = (c.items || []).map(
+                                  (it, idx) => {
+                                    const prod = mapProd.get(it.ean);
+                                    const nombreProd =
+                                      prod?.nombre || `Producto sin nombre`;
+                                    const qty = Number(it.qty) || 0;
+                                    const sub = fiadoItemAmount(
+                                      it,
+                                      prod,
+                                      c.fecha,
+                                      politica
+                                    );
+
+                                    return (
+                                      <div
+                                        key={idx}
+                                        className="flex justify-between gap-2"
+                                      >
+                                        <span className="truncate">
+                                          EAN {it.ean} - x
+                                          {formatQty(qty, prod?.unidad)}{" "}
+                                          {nombreProd}
+                                        </span>
+                                        <span>{currency(sub)}</span>
+                                      </div>
+                                    );
+                                  }
+                                );
 
                                 return (
-                                  <div
-                                    key={idx}
-                                    className="flex justify-between gap-2"
+                                  <tr
+                                    key={c.id}
+                                    className="odd:bg-white even:bg-slate-50 align-top"
                                   >
-                                    <span className="truncate">
-                                      EAN {it.ean} - x{qty} {nombreProd}
-                                    </span>
-                                    <span>{currency(sub)}</span>
-                                  </div>
+                                    <td className="p-1.5">
+                                      {new Date(
+                                        c.fecha
+                                      ).toLocaleString("es-AR", {
+                                        dateStyle: "short",
+                                        timeStyle: "short",
+                                      })}
+                                    </td>
+                                    <td className="p-1.5">
+                                      {detalle}
+                                      {c.descuento && (
+                                        <div className="text-emerald-700">
+                                          Descuento al ticket (
+                                          {describeDiscount(c.descuento)})
+                                        </div>
+                                      )}
+                                    </td>
+                                    <td className="p-1.5 text-right align-top whitespace-nowrap">
+                                      {currency(totalCargo)}
+                                    </td>
+                                  </tr>
                                 );
-                              }
-                            );
-
-                            return (
-                              <tr
-                                key={c.id}
-                                className="odd:bg-white even:bg-slate-50 align-top"
-                              >
-                                <td className="p-1.5">
-                                  {new Date(
-                                    c.fecha
-                                  ).toLocaleString("es-AR", {
-                                    dateStyle: "short",
-                                    timeStyle: "short",
-                                  })}
-                                </td>
-                                <td className="p-1.5">{detalle}</td>
-                                <td className="p-1.5 text-right align-top whitespace-nowrap">
-                                  {currency(totalCargo)}
-                                </td>
+                              })}
+                              {!cargos.length && (
+                                <tr>
+                                  <td
+                                    colSpan={3}
+                                    className="p-3 text-center text-slate-400"
+                                  >
+                                    Sin ventas fiadas
+                                  </td>
+                                </tr>
+                              )}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+
+                      <div>
+                        <h4 className="text-sm font-semibold text-slate-700 mb-1">
+                          Abonos
+                        </h4>
+                        <div className="border rounded-xl max-h-48 overflow-auto bg-slate-50/40">
+                          <table className="w-full text-xs">
+                            <thead className="bg-slate-100 sticky top-0">
+                              <tr>
+                                <th className="text-left p-1.5">
+                                  Fecha
+                                </th>
+                                <th className="text-right p-1.5">
+                                  Monto
+                                </th>
                               </tr>
-                            );
-                          })}
-                          {!cargos.length && (
-                            <tr>
-                              <td
-                                colSpan={3}
-                                className="p-3 text-center text-slate-400"
-                              >
-                                Sin ventas fiadas
-                              </td>
-                            </tr>
-                          )}
-                        </tbody>
-                      </table>
+                            </thead>
+                            <tbody>
+                              {abonos.map((a) => (
+                                <tr
+                                  key={a.id}
+                                  className="odd:bg-white even:bg-slate-50"
+                                >
+                                  <td className="p-1.5">
+                                    {new Date(
+                                      a.fecha
+                                    ).toLocaleString("es-AR", {
+                                      dateStyle: "short",
+                                      timeStyle: "short",
+                                    })}
+                                  </td>
+                                  <td className="p-1.5 text-right">
+                                    {currency(a.monto)}
+                                  </td>
+                                </tr>
+                              ))}
+                              {!abonos.length && (
+                                <tr>
+                                  <td
+                                    colSpan={2}
+                                    className="p-3 text-center text-slate-400"
+                                  >
+                                    Sin abonos registrados
+                                  </td>
+                                </tr>
+                              )}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
                     </div>
                   </div>
+                );
+              })}
+            </div>
+          )}
 
-                  <div>
-                    <h4 className="text-sm font-semibold text-slate-700 mb-1">
-                      Abonos
-                    </h4>
-                    <div className="border rounded-xl max-h-48 overflow-auto bg-slate-50/40">
-                      <table className="w-full text-xs">
-                        <thead className="bg-slate-100 sticky top-0">
-                          <tr>
-                            <th className="text-left p-1.5">
-                              Fecha
-                            </th>
-                            <th className="text-right p-1.5">
-                              Monto
-                            </th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {abonos.map((a) => (
-                            <tr
-                              key={a.id}
-                              className="odd:bg-white even:bg-slate-50"
-                            >
-                              <td className="p-1.5">
-                                {new Date(
-                                  a.fecha
-                                ).toLocaleString("es-AR", {
-                                  dateStyle: "short",
-                                  timeStyle: "short",
-                                })}
-                              </td>
-                              <td className="p-1.5 text-right">
-                                {currency(a.monto)}
-                              </td>
-                            </tr>
-                          ))}
-                          {!abonos.length && (
-                            <tr>
-                              <td
-                                colSpan={2}
-                                className="p-3 text-center text-slate-400"
-                              >
-                                Sin abonos registrados
-                              </td>
-                            </tr>
-                          )}
-                        </tbody>
-                      </table>
-                    </div>
-                  </div>
-                </div>
+          <div className="mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold text-slate-700">
+                Clientes ({personas.length})
+              </h3>
+              <div className="flex gap-2">
+                <input
+                  className="border rounded-xl px-3 py-1.5 text-sm"
+                  placeholder="Buscar por nombre, DNI o teléfono"
+                  value={buscarCliente}
+                  onChange={(e) => setBuscarCliente(e.target.value)}
+                />
+                <button
+                  onClick={() => setEditCliente({})}
+                  className="px-3 py-1.5 rounded-xl border text-sm hover:bg-slate-50"
+                >
+                  Nuevo cliente
+                </button>
               </div>
-            );
-          })}
-        </div>
+            </div>
+            <div className="overflow-auto max-h-72 border rounded-2xl bg-slate-50/40">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-100 sticky top-0">
+                  <tr>
+                    <th className="text-left p-2">Nombre</th>
+                    <th className="text-left p-2">Teléfono</th>
+                    <th className="text-left p-2">DNI</th>
+                    <th className="text-right p-2">Saldo</th>
+                    <th className="text-right p-2">Límite</th>
+                    <th className="p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clientes.map((c) => {
+                    const saldo = computeSaldoPersona(c, productos, data.settings);
+                    return (
+                      <tr key={c.id} className="odd:bg-white even:bg-slate-50">
+                        <td className="p-2">
+                          {c.nombre}
+                          {c.archivado && (
+                            <span className="ml-2 text-xs text-slate-500">
+                              (en Saldados)
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-2">{c.telefono || "—"}</td>
+                        <td className="p-2">{c.dni || "—"}</td>
+                        <td className="p-2 text-right">{currency(saldo)}</td>
+                        <td
+                          className={
+                            "p-2 text-right " +
+                            (Number(c.limite) > 0 && saldo > c.limite ? "text-red-600" : "")
+                          }
+                        >
+                          {Number(c.limite) > 0 ? currency(c.limite) : "Sin límite"}
+                        </td>
+                        <td className="p-2 text-right whitespace-nowrap space-x-3">
+                          <button
+                            onClick={() => setEstadoDe(c)}
+                            className="text-xs text-sky-700 hover:underline"
+                          >
+                            Estado de cuenta
+                          </button>
+                          <button
+                            onClick={() => setEditCliente(c)}
+                            className="text-xs text-sky-700 hover:underline"
+                          >
+                            Editar
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {!clientes.length && (
+                    <tr>
+                      <td colSpan={6} className="p-4 text-center text-slate-400">
+                        Sin clientes
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {estadoDe && (
+        <EstadoCuentaModal
+          persona={estadoDe}
+          productos={productos}
+          settings={data.settings}
+          onClose={() => setEstadoDe(null)}
+        />
+      )}
+
+      {editCliente && (
+        <ClienteForm
+          cliente={editCliente}
+          personas={personas}
+          settings={data.settings}
+          onOk={guardarCliente}
+          onCancel={() => setEditCliente(null)}
+        />
+      )}
+
+      {migracion && (
+        <CongelarPreciosModal
+          alcance={migracion.nombre}
+          cantidad={migracion.cantidad}
+          onOk={migrarPrecios}
+          onCancel={() => setMigracion(null)}
+        />
       )}
 
-      {/* MODAL para eliminar fiado con contraseña */}
+      {/* MODAL para archivar fiado con contraseña */}
       {deleteTarget && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
           <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm p-5">
             <h3 className="text-lg font-semibold mb-2">
-              Eliminar fiado
+              Archivar fiado
             </h3>
             <p className="text-sm text-slate-600 mb-3">
-              Vas a eliminar por completo el fiado de{" "}
+              La cuenta de{" "}
               <span className="font-semibold">
                 {deleteTarget.nombre}
-              </span>
-              . Esta acción no se puede deshacer.
+              </span>{" "}
+              deja de figurar entre los fiados activos y pasa a Saldados con
+              todas sus compras y abonos. Se reactiva con una nueva compra fiada.
             </p>
             <p className="text-sm text-slate-600 mb-3">
               Saldo actual:{" "}
               <span className="font-semibold">
                 {currency(
-                  computeSaldoPersona(deleteTarget, productos)
+                  computeSaldoPersona(deleteTarget, productos, data.settings)
                 )}
               </span>
             </p>
@@ -3342,7 +10661,7 @@ function Fiados({ data, setData }) {
                 onClick={confirmarEliminarFiado}
                 className="px-3 py-1.5 rounded-xl text-sm bg-red-600 text-white hover:bg-red-700"
               >
-                Eliminar fiado
+                Archivar fiado
               </button>
             </div>
           </div>
@@ -3372,13 +10691,18 @@ function CardStat({ label, value, variant = "normal" }) {
 function Nav({ tab, setTab }) {
   const tabs = [
     { id: "productos", label: "Productos" },
+    { id: "reponer", label: "Reponer" },
     { id: "venta", label: "Nueva venta" },
+    { id: "promos", label: "Promociones" },
     { id: "gastos", label: "Compras/Gastos" },
     { id: "fiados", label: "Fiados" },
     { id: "cierre", label: "Cierre diario" },
+    { id: "libro", label: "Libro de ventas" },
     { id: "ranking", label: "Ranking de ventas" },
     { id: "historico", label: "Resumen histórico" },
+    { id: "margenes", label: "Márgenes" },
     { id: "io", label: "Importar/Exportar" },
+    { id: "config", label: "Configuración" },
   ];
   return (
     <nav className="flex flex-wrap gap-2 p-2 bg-white border-b border-slate-200 sticky top-[57px] z-20">
@@ -3424,9 +10748,13 @@ export default function DespensaApp() {
             {tab === "productos" && (
               <Productos data={data} setData={setData} />
             )}
+            {tab === "reponer" && <Reponer data={data} />}
             {tab === "venta" && (
               <NuevaVenta data={data} setData={setData} />
             )}
+            {tab === "promos" && (
+              <Promociones data={data} setData={setData} />
+            )}
             {tab === "gastos" && (
               <ComprasGastos data={data} setData={setData} />
             )}
@@ -3436,13 +10764,18 @@ export default function DespensaApp() {
             {tab === "cierre" && (
               <CierreDiario data={data} setData={setData} />
             )}
-            {tab === "ranking" && <RankingVentas email={email} />}
+            {tab === "libro" && <LibroVentas data={data} />}
+            {tab === "ranking" && <RankingVentas email={email} ventas={data.ventas} />}
             {tab === "historico" && (
               <ResumenHistorico data={data} />
             )}
+            {tab === "margenes" && <ReporteMargenes data={data} />}
             {tab === "io" && (
               <ImportExport data={data} setData={setData} />
             )}
+            {tab === "config" && (
+              <Configuracion data={data} setData={setData} />
+            )}
           </main>
         </>
       ) : (
@@ -0,0 +1,121 @@
+/**
+ * ESC/POS – generador de comandos para impresoras térmicas
+ * -----------------------------------------
+ * Módulo puro (sin DOM ni React): arma el flujo de bytes que se descarga o se
+ * envía a un puente de impresión local. Se puede verificar comparando los
+ * bytes generados, sin impresora conectada.
+ *
+ *   const bytes = createEscPos({ columnas: 48 })
+ *     .init()
+ *     .align("center").bold(true).line("DESPENSA").bold(false)
+ *     .row("Total", "$ 1.500,00")
+ *     .barcode("7790387010218")
+ *     .cut()
+ *     .bytes();
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Caracteres fuera de ASCII → página de códigos CP850 (ESC t 2)
+const CP850 = {
+  "Ç": 0x80, "ü": 0x81, "é": 0x82, "â": 0x83, "ä": 0x84, "à": 0x85,
+  "ç": 0x87, "ê": 0x88, "ë": 0x89, "è": 0x8a, "ï": 0x8b, "î": 0x8c,
+  "ì": 0x8d, "Ä": 0x8e, "É": 0x90, "ô": 0x93, "ö": 0x94, "ò": 0x95,
+  "û": 0x96, "ù": 0x97, "Ö": 0x99, "Ü": 0x9a, "×": 0x9e, "á": 0xa0,
+  "í": 0xa1, "ó": 0xa2, "ú": 0xa3, "ñ": 0xa4, "Ñ": 0xa5, "ª": 0xa6,
+  "º": 0xa7, "¿": 0xa8, "¡": 0xad, "Á": 0xb5, "Â": 0xb6, "À": 0xb7,
+  "Ê": 0xd2, "Ë": 0xd3, "È": 0xd4, "Í": 0xd6, "Î": 0xd7, "Ï": 0xd8,
+  "Ó": 0xe0, "Ô": 0xe2, "Ò": 0xe3, "Ú": 0xe9, "Û": 0xea, "Ù": 0xeb,
+  "°": 0xf8, "·": 0xfa,
+};
+
+// Sustitutos ASCII para caracteres tipográficos frecuentes
+const REEMPLAZOS = {
+  "\u00a0": " ", // espacios duros (Intl.NumberFormat)
+  "\u202f": " ",
+  "−": "-",
+  "–": "-",
+  "—": "-",
+  "…": "...",
+  "“": '"',
+  "”": '"',
+  "‘": "'",
+  "’": "'",
+  "→": "->",
+};
+
+export function encodeText(str) {
+  const out = [];
+  for (const ch of String(str ?? "")) {
+    const c = REEMPLAZOS[ch] ?? ch;
+    for (const k of c) {
+      const code = k.codePointAt(0);
+      if (code === LF || (code >= 0x20 && code < 0x7f)) out.push(code);
+      else if (CP850[k] != null) out.push(CP850[k]);
+      else out.push(0x3f); // "?"
+    }
+  }
+  return out;
+}
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+export function createEscPos({ columnas = 48 } = {}) {
+  const buf = [];
+  const push = (...b) => {
+    buf.push(...b);
+    return api;
+  };
+
+  const api = {
+    columnas,
+    // ESC @ (reinicia) + ESC t 2 (CP850)
+    init: () => push(ESC, 0x40, ESC, 0x74, 2),
+    raw: (bytes) => push(...bytes),
+    text: (str) => push(...encodeText(str)),
+    line: (str = "") => push(...encodeText(str), LF),
+    feed: (n = 1) => push(ESC, 0x64, Math.max(0, Math.min(255, n))),
+    align: (a) => push(ESC, 0x61, ALIGN[a] ?? 0),
+    bold: (on) => push(ESC, 0x45, on ? 1 : 0),
+    underline: (on) => push(ESC, 0x2d, on ? 1 : 0),
+    // GS ! n: ancho y alto 1–8 veces
+    size: (ancho = 1, alto = 1) => {
+      const w = Math.max(1, Math.min(8, ancho)) - 1;
+      const h = Math.max(1, Math.min(8, alto)) - 1;
+      return push(GS, 0x21, (w << 4) | h);
+    },
+    // Texto a la izquierda y a la derecha en la misma línea
+    row: (izq, der, cols = columnas) => {
+      const d = String(der ?? "");
+      const espacio = Math.max(1, cols - d.length);
+      let i = String(izq ?? "");
+      if (i.length >= espacio) i = i.slice(0, espacio - 1);
+      return api.line(i.padEnd(espacio, " ") + d);
+    },
+    separador: (ch = "-", cols = columnas) => api.line(ch.repeat(cols)),
+    // EAN-13 / EAN-8 si el código es numérico de ese largo, si no CODE128 (B)
+    barcode: (code, { alto = 80, modulo = 2, hri = true } = {}) => {
+      const data = String(code || "");
+      push(GS, 0x68, alto, GS, 0x77, modulo, GS, 0x48, hri ? 2 : 0);
+      if (/^\d{13}$/.test(data)) {
+        return push(GS, 0x6b, 67, 13, ...encodeText(data), LF);
+      }
+      if (/^\d{8}$/.test(data)) {
+        return push(GS, 0x6b, 68, 8, ...encodeText(data), LF);
+      }
+      // "{B" + datos; una "{" literal se escribe "{{" (si no, la impresora la
+      // toma como cambio de juego de caracteres)
+      const bytes = [0x7b, 0x42, ...encodeText(data.replace(/\{/g, "{{"))];
+      return push(GS, 0x6b, 73, bytes.length, ...bytes, LF);
+    },
+    // GS V 65/66 n: avanza n líneas y corta (total / parcial)
+    cut: ({ parcial = false, avance = 3 } = {}) =>
+      push(GS, 0x56, parcial ? 66 : 65, avance),
+    // ESC p m t1 t2: pulso al cajón de dinero (pin 2 o 5)
+    pulse: (pin = 2) => push(ESC, 0x70, pin === 5 ? 1 : 0, 0x19, 0xfa),
+    bytes: () => Uint8Array.from(buf),
+  };
+  return api;
+}
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEscPos, encodeText } from "./escpos.js";
+
+const bytes = (fn) => Array.from(fn(createEscPos()).bytes());
+const ascii = (str) => Array.from(str, (c) => c.charCodeAt(0));
+
+test("init reinicia la impresora y elige CP850", () => {
+  assert.deepEqual(bytes((p) => p.init()), [0x1b, 0x40, 0x1b, 0x74, 2]);
+});
+
+test("cut avanza y corta (total por defecto, parcial opcional)", () => {
+  assert.deepEqual(bytes((p) => p.cut()), [0x1d, 0x56, 65, 3]);
+  assert.deepEqual(
+    bytes((p) => p.cut({ parcial: true, avance: 5 })),
+    [0x1d, 0x56, 66, 5]
+  );
+});
+
+test("pulse abre el cajón por el pin 2 o 5", () => {
+  assert.deepEqual(bytes((p) => p.pulse()), [0x1b, 0x70, 0, 0x19, 0xfa]);
+  assert.deepEqual(bytes((p) => p.pulse(5)), [0x1b, 0x70, 1, 0x19, 0xfa]);
+});
+
+const CONFIG_BARRAS = [0x1d, 0x68, 80, 0x1d, 0x77, 2, 0x1d, 0x48, 2];
+
+test("barcode usa EAN-13 para códigos de 13 dígitos", () => {
+  assert.deepEqual(bytes((p) => p.barcode("7790387010218")), [
+    ...CONFIG_BARRAS,
+    0x1d, 0x6b, 67, 13, ...ascii("7790387010218"), 0x0a,
+  ]);
+});
+
+test("barcode usa CODE128 (B) para el resto y duplica las llaves", () => {
+  assert.deepEqual(bytes((p) => p.barcode("AB-12")), [
+    ...CONFIG_BARRAS,
+    0x1d, 0x6b, 73, 7, ...ascii("{BAB-12"), 0x0a,
+  ]);
+  assert.deepEqual(bytes((p) => p.barcode("A{1")), [
+    ...CONFIG_BARRAS,
+    0x1d, 0x6b, 73, 6, ...ascii("{BA{{1"), 0x0a,
+  ]);
+});
+
+test("encodeText traduce a CP850 y reemplaza lo que no existe", () => {
+  assert.deepEqual(encodeText("Año"), [0x41, 0xa4, 0x6f]);
+  assert.deepEqual(encodeText("¿Cuánto?"), [0xa8, ...ascii("Cu"), 0xa0, ...ascii("nto?")]);
+  assert.deepEqual(encodeText("ÑÁÉÍÓÚü°"), [0xa5, 0xb5, 0x90, 0xd6, 0xe0, 0xe9, 0x81, 0xf8]);
+  // Espacio duro de Intl.NumberFormat, raya y carácter sin equivalente
+  assert.deepEqual(encodeText("$\u00a01–2€"), [...ascii("$ 1-2"), 0x3f]);
+});